@@ -0,0 +1,280 @@
+/*
+================================================================
+AI-PROVIDERS.JS - AWWWARDS REBUILD 2025 (PLUGGABLE LLM BACKENDS)
+- One interface for every language model the app can talk to, for both
+  complete and streamed (incremental) responses.
+- Google Gemini (through the backend proxy), any OpenAI-compatible
+  chat-completions endpoint, and a local or self-hosted Ollama server.
+- Each provider receives the same prompt turns and JSON schema and returns raw text;
+  prompting and parsing stay in gemini.js so all providers behave alike.
+================================================================
+*/
+
+import { PROXY_BASE_URL } from './config.js';
+import { request } from './http.js';
+
+// --- Configuration ---
+const AI_TIMEOUT = 60000; // ms; generation is much slower than a TMDB lookup
+const MAX_OUTPUT_TOKENS = 2048;
+
+// Gemini's content-safety levels, strictest first.
+export const SAFETY_THRESHOLDS = ['BLOCK_LOW_AND_ABOVE', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_ONLY_HIGH', 'BLOCK_NONE'];
+const SAFETY_CATEGORIES = ['HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH', 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT'];
+
+// Used when nothing has been saved yet. Empty model/base URL fall back to the provider's defaults.
+export const DEFAULT_AI_SETTINGS = {
+    provider: 'gemini',
+    model: '',
+    baseUrl: '',
+    temperature: 0.7,
+    apiKey: '',
+    safetyThreshold: 'BLOCK_MEDIUM_AND_ABOVE',
+};
+
+
+// --- Schema & Message Conversion ---
+
+/**
+ * Converts the Gemini `responseSchema` dialect (upper-case types, `nullable`) into standard JSON Schema.
+ * @param {object} schema - A Gemini schema.
+ * @returns {object} The equivalent JSON Schema.
+ */
+function toJSONSchema(schema) {
+    const type = schema.type.toLowerCase();
+    const converted = { type: schema.nullable ? [type, 'null'] : type };
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toJSONSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toJSONSchema(value)]));
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+}
+
+/**
+ * Wraps an array schema in an object, since chat-completions JSON modes require a top-level object.
+ * The shared parser unwraps it again.
+ * @param {object} schema - A Gemini schema for an array.
+ * @returns {object} A JSON Schema for `{ "results": [...] }`.
+ */
+function toWrappedJSONSchema(schema) {
+    return { type: 'object', properties: { results: toJSONSchema(schema) }, required: ['results'] };
+}
+
+/**
+ * Converts Gemini `contents` turns into chat-completions messages.
+ * @param {Array<object>} contents - Turns shaped like `{ role: 'user'|'model', parts: [{ text }] }`.
+ * @returns {Array<{role: string, content: string}>} The chat messages.
+ */
+function toChatMessages(contents) {
+    return contents.map(turn => ({
+        role: turn.role === 'model' ? 'assistant' : 'user',
+        content: turn.parts.map(part => part.text).join(''),
+    }));
+}
+
+
+// --- Providers ---
+
+/**
+ * Every provider describes how to build its request (`buildRequest`), how to read the text out
+ * of a complete response (`readText`) and out of one streamed event (`readDelta`), and whether
+ * its stream is Server-Sent Events or newline-delimited JSON (`streamFormat`).
+ */
+const providers = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: null, // No model chosen: the proxy uses its GEMINI_MODEL
+        defaultBaseUrl: PROXY_BASE_URL, // The proxy holds the API key (see server/proxy.mjs)
+        streamFormat: 'sse',
+        buildRequest({ contents, schema, settings, stream }) {
+            const query = settings.model ? `?model=${encodeURIComponent(settings.model)}` : '';
+            return {
+                url: `${settings.baseUrl}/ai/recommend${stream ? '/stream' : ''}${query}`,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    contents,
+                    generationConfig: {
+                        temperature: settings.temperature,
+                        topK: 40,
+                        topP: 0.95,
+                        maxOutputTokens: MAX_OUTPUT_TOKENS,
+                        responseMimeType: 'application/json',
+                        responseSchema: schema,
+                    },
+                    // One threshold, chosen in the settings view, for every category
+                    safetySettings: SAFETY_CATEGORIES.map(category => ({ category, threshold: settings.safetyThreshold })),
+                },
+            };
+        },
+        readText: data => data?.candidates?.[0]?.content?.parts?.[0]?.text,
+        readDelta: event => event?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join(''),
+    },
+
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        streamFormat: 'sse',
+        buildRequest({ contents, schema, settings, stream }) {
+            const headers = { 'Content-Type': 'application/json' };
+            // Self-hosted servers usually need no key; hosted ones use the user's own key.
+            if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+            return {
+                url: `${settings.baseUrl}/chat/completions`,
+                headers,
+                body: {
+                    model: settings.model,
+                    messages: toChatMessages(contents),
+                    temperature: settings.temperature,
+                    max_tokens: MAX_OUTPUT_TOKENS,
+                    response_format: { type: 'json_schema', json_schema: { name: 'results', schema: toWrappedJSONSchema(schema) } },
+                    stream,
+                },
+            };
+        },
+        readText: data => data?.choices?.[0]?.message?.content,
+        readDelta: event => event?.choices?.[0]?.delta?.content,
+    },
+
+    ollama: {
+        label: 'Ollama',
+        defaultModel: 'llama3.1',
+        defaultBaseUrl: 'http://localhost:11434', // Start Ollama with OLLAMA_ORIGINS set to the app's origin
+        streamFormat: 'ndjson',
+        buildRequest({ contents, schema, settings, stream }) {
+            return {
+                url: `${settings.baseUrl}/api/chat`,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    model: settings.model,
+                    messages: toChatMessages(contents),
+                    stream,
+                    format: toWrappedJSONSchema(schema),
+                    options: { temperature: settings.temperature, num_predict: MAX_OUTPUT_TOKENS },
+                },
+            };
+        },
+        readText: data => data?.message?.content,
+        readDelta: event => event?.message?.content,
+    },
+};
+
+/**
+ * Provider metadata for settings UIs, keyed by provider id.
+ * A null `defaultModel` means the server picks the model.
+ * @type {Object<string, {label: string, defaultModel: string|null, defaultBaseUrl: string}>}
+ */
+export const AI_PROVIDERS = Object.fromEntries(Object.entries(providers).map(([id, { label, defaultModel, defaultBaseUrl }]) => [id, { label, defaultModel, defaultBaseUrl }]));
+
+
+// --- Public Functions ---
+
+/**
+ * Fills in provider defaults and clamps values, so saved settings are always usable.
+ * The model stays blank when neither the user nor the provider picks one (Gemini: the proxy decides).
+ * @param {object} [settings={}] - Saved (possibly partial or outdated) AI settings.
+ * @returns {{provider: string, model: string, baseUrl: string, temperature: number, apiKey: string, safetyThreshold: string}} Complete settings.
+ */
+export function resolveAISettings(settings = {}) {
+    const merged = { ...DEFAULT_AI_SETTINGS, ...settings };
+    const provider = providers[merged.provider] ? merged.provider : DEFAULT_AI_SETTINGS.provider;
+    const temperature = Number.parseFloat(merged.temperature);
+    return {
+        provider,
+        model: merged.model?.trim() || providers[provider].defaultModel || '',
+        baseUrl: (merged.baseUrl?.trim() || providers[provider].defaultBaseUrl).replace(/\/+$/, ''),
+        temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : DEFAULT_AI_SETTINGS.temperature,
+        apiKey: merged.apiKey?.trim() || '',
+        safetyThreshold: SAFETY_THRESHOLDS.includes(merged.safetyThreshold) ? merged.safetyThreshold : DEFAULT_AI_SETTINGS.safetyThreshold,
+    };
+}
+
+/**
+ * Sends a provider request built by `buildRequest`.
+ * @param {object} provider - One of `providers`.
+ * @param {object} params - `{ contents, schema, settings, stream }` for `buildRequest`.
+ * @returns {Promise<Response>} The successful response.
+ */
+function sendProviderRequest(provider, params) {
+    const { url, headers, body } = provider.buildRequest(params);
+    return request(url, {
+        service: 'AI',
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        timeout: AI_TIMEOUT,
+        idempotent: true, // Generation has no side effects, so transient failures are safe to retry
+    });
+}
+
+/**
+ * Reads a response body line by line as it arrives.
+ * @param {Response} response - A response with a streaming body.
+ * @yields {string} Each complete line, without its line break.
+ */
+async function* readLines(response) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += value;
+        const lines = buffered.split(/\r?\n/);
+        buffered = lines.pop();
+        yield* lines;
+    }
+    if (buffered) yield buffered;
+}
+
+/**
+ * Parses a streamed response into JSON events: `data:` lines for Server-Sent Events, or one
+ * object per line for newline-delimited JSON.
+ * @param {Response} response - The streaming response.
+ * @param {string} format - 'sse' or 'ndjson'.
+ * @yields {object} Each event.
+ */
+async function* readEvents(response, format) {
+    for await (const line of readLines(response)) {
+        const payload = format === 'sse' ? (line.startsWith('data:') ? line.slice(5).trim() : '') : line.trim();
+        if (!payload || payload === '[DONE]') continue;
+        try {
+            yield JSON.parse(payload);
+        } catch (error) {
+            console.warn('Skipping malformed stream event:', payload);
+        }
+    }
+}
+
+/**
+ * Sends prompt turns to the configured provider in JSON mode.
+ * @param {Array<object>} contents - Gemini-style `contents` turns; converted as needed.
+ * @param {object} schema - The Gemini-style response schema the output must follow.
+ * @param {object} settings - AI settings (see `resolveAISettings`).
+ * @returns {Promise<string|undefined>} The raw response text, or undefined if the response held none.
+ * @throws {ApiError} If the request fails (see http.js).
+ */
+export async function generateJSON(contents, schema, settings) {
+    const resolved = resolveAISettings(settings);
+    const provider = providers[resolved.provider];
+    const response = await sendProviderRequest(provider, { contents, schema, settings: resolved, stream: false });
+    return provider.readText(await response.json());
+}
+
+/**
+ * Streams a JSON-mode response from the configured provider as it is generated.
+ * @param {Array<object>} contents - Gemini-style `contents` turns; converted as needed.
+ * @param {object} schema - The Gemini-style response schema the output must follow.
+ * @param {object} settings - AI settings (see `resolveAISettings`).
+ * @yields {string} Successive pieces of the response text.
+ * @throws {ApiError} If the request fails (see http.js).
+ */
+export async function* streamJSON(contents, schema, settings) {
+    const resolved = resolveAISettings(settings);
+    const provider = providers[resolved.provider];
+    const response = await sendProviderRequest(provider, { contents, schema, settings: resolved, stream: true });
+    for await (const event of readEvents(response, provider.streamFormat)) {
+        const delta = provider.readDelta(event);
+        if (delta) yield delta;
+    }
+}
@@ -2,37 +2,196 @@
 ================================================================
 API.JS - AWWWARDS REBUILD 2025 (ENHANCED & ROBUST)
 - Unified TMDB API interaction module for both movies and TV shows.
-- Manages API key and base URLs with more descriptive error handling.
+- Routes every request through the backend proxy, which holds the API key.
+- Caches responses in IndexedDB with per-endpoint TTLs, LRU eviction and request de-duplication.
 - Provides improved fallback assets for a better user experience.
+- Requests content in the active locale's language and region (see i18n.js).
 ================================================================
 */
 
+import { PROXY_BASE_URL } from './config.js';
+import { request } from './http.js';
+import { getLocale, getLocaleRegion } from './i18n.js';
+import { getSettings } from './storage.js';
+
 // --- Configuration ---
-const API_KEY = '5bd8970deaa0e82346fc042a97499a59'; // Your TMDB API Key
-const API_BASE_URL = 'https://api.themoviedb.org/3';
+const API_BASE_URL = `${PROXY_BASE_URL}/tmdb`; // The proxy appends the TMDB API key server-side
 const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/';
 
+// The "image quality" setting swaps each requested TMDB size for a smaller or larger one.
+const IMAGE_QUALITY_SIZES = {
+    low: { w185: 'w154', w300: 'w185', w500: 'w342', w780: 'w500' },
+    high: { w185: 'w342', w300: 'w780', w500: 'w780', w780: 'original' },
+};
+
+// --- Response Cache (IndexedDB) ---
+
+const CACHE_DB_NAME = 'pcinegpt-tmdb-cache';
+const CACHE_STORE_NAME = 'responses';
+const CACHE_MAX_ENTRIES = 500; // Least-recently-used entries beyond this are evicted
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Time-to-live per endpoint; the first matching rule wins.
+const CACHE_TTL_RULES = [
+    { pattern: /^\/trending\//, ttl: 3 * HOUR },
+    { pattern: /^\/(movie|tv)\/top_rated$/, ttl: 12 * HOUR },
+    { pattern: /^\/search\//, ttl: DAY },
+    { pattern: /^\/(movie|tv)\/\d+(\/season\/\d+)?$/, ttl: 3 * DAY },
+    { pattern: /^\/person\/\d+(\/combined_credits)?$/, ttl: 3 * DAY },
+    { pattern: /^\/(movie|tv)\/\d+\/watch\/providers$/, ttl: DAY },
+    { pattern: /^\/watch\/providers\//, ttl: 7 * DAY },
+    { pattern: /^\/genre\//, ttl: 7 * DAY },
+];
+const DEFAULT_CACHE_TTL = 6 * HOUR;
+
+// Requests currently on the network, keyed by URL, so identical calls share one fetch.
+const inFlightRequests = new Map();
+let cacheDbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (once) the cache database. Resolves to null where IndexedDB is unavailable
+ * (e.g. some private browsing modes), in which case every request goes to the network.
+ * @returns {Promise<IDBDatabase|null>} The database, or null.
+ */
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            if (!window.indexedDB) return resolve(null);
+            const request = indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'url' });
+                store.createIndex('lastAccessed', 'lastAccessed');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('TMDB cache unavailable, continuing without it:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * Looks up the TTL for an endpoint.
+ * @param {string} endpoint The TMDB endpoint.
+ * @returns {number} The TTL in milliseconds.
+ */
+function getCacheTtl(endpoint) {
+    return CACHE_TTL_RULES.find(rule => rule.pattern.test(endpoint))?.ttl ?? DEFAULT_CACHE_TTL;
+}
+
+/**
+ * Reads a fresh cached response and marks it as recently used.
+ * @param {string} url The full request URL.
+ * @param {{allowStale?: boolean}} [options] Set `allowStale` to also return expired entries (used offline).
+ * @returns {Promise<object|undefined>} The cached data, or undefined if missing or expired.
+ */
+async function readCache(url, { allowStale = false } = {}) {
+    const db = await openCacheDb();
+    if (!db) return undefined;
+    try {
+        const store = db.transaction(CACHE_STORE_NAME, 'readwrite').objectStore(CACHE_STORE_NAME);
+        const entry = await promisifyRequest(store.get(url));
+        if (!entry || (!allowStale && entry.expiresAt <= Date.now())) return undefined;
+        entry.lastAccessed = Date.now();
+        store.put(entry);
+        return entry.data;
+    } catch (error) {
+        console.warn('TMDB cache read failed:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Stores a response, then evicts the least-recently-used entries beyond `CACHE_MAX_ENTRIES`.
+ * @param {string} url The full request URL.
+ * @param {object} data The JSON response data.
+ * @param {number} ttl Time-to-live in milliseconds.
+ */
+async function writeCache(url, data, ttl) {
+    const db = await openCacheDb();
+    if (!db) return;
+    try {
+        const now = Date.now();
+        const store = db.transaction(CACHE_STORE_NAME, 'readwrite').objectStore(CACHE_STORE_NAME);
+        await promisifyRequest(store.put({ url, data, expiresAt: now + ttl, lastAccessed: now }));
+
+        let excess = (await promisifyRequest(store.count())) - CACHE_MAX_ENTRIES;
+        if (excess <= 0) return;
+        const cursorRequest = store.index('lastAccessed').openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess <= 0) return;
+            cursor.delete();
+            excess--;
+            cursor.continue();
+        };
+    } catch (error) {
+        console.warn('TMDB cache write failed:', error);
+    }
+}
+
+
 // --- Core API Fetch Function ---
 
 /**
  * A generic, robust function to fetch data from any TMDB endpoint.
+ * Responses are served from the IndexedDB cache while fresh, and concurrent
+ * requests for the same URL share a single network call. The locale is part of the URL,
+ * so each language is cached separately.
  * @param {string} endpoint - The TMDB endpoint (e.g., '/movie/popular').
  * @param {string} [queryParams=''] - Optional query parameters.
  * @returns {Promise<object>} A promise that resolves to the JSON response data.
- * @throws {Error} If the network response is not ok or a network error occurs.
+ * @throws {ApiError} A typed error (rate-limited, not-found, network, ...) from the shared request layer.
  */
-async function fetchFromTMDB(endpoint, queryParams = '') {
-    const url = `${API_BASE_URL}${endpoint}?api_key=${API_KEY}&language=en-US${queryParams}`;
+function fetchFromTMDB(endpoint, queryParams = '') {
+    const url = `${API_BASE_URL}${endpoint}?language=${getLocale()}&region=${getLocaleRegion()}${queryParams}`;
+
+    if (!inFlightRequests.has(url)) {
+        const request = fetchWithCache(url, endpoint)
+            .finally(() => inFlightRequests.delete(url));
+        inFlightRequests.set(url, request);
+    }
+    return inFlightRequests.get(url);
+}
+
+/**
+ * Serves a TMDB URL from the cache, or fetches and caches it. When the network is
+ * unreachable, an expired cache entry is served rather than failing.
+ * @param {string} url - The full request URL.
+ * @param {string} endpoint - The TMDB endpoint, used for the TTL and error messages.
+ * @returns {Promise<object>} The JSON response data.
+ */
+async function fetchWithCache(url, endpoint) {
+    const cached = await readCache(url);
+    if (cached !== undefined) return cached;
 
     try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ status_message: 'Unknown API error' }));
-            // Provide a more informative error message
-            throw new Error(`TMDB API Error: ${response.status} - ${errorData.status_message} for endpoint ${endpoint}`);
-        }
-        return await response.json();
+        // Retries, timeouts and typed errors (RateLimitError, NotFoundError, ...) come from the shared request layer
+        const response = await request(url, { service: 'TMDB' });
+        const data = await response.json();
+        writeCache(url, data, getCacheTtl(endpoint)); // Fire-and-forget; a cache miss next time is harmless
+        return data;
     } catch (error) {
+        if (error.kind === 'network') {
+            const stale = await readCache(url, { allowStale: true });
+            if (stale !== undefined) return stale;
+        }
         console.error(`Error fetching from TMDB endpoint ${endpoint}:`, error);
         // Re-throw the error to be handled by the calling function
         throw error;
@@ -62,43 +221,242 @@ export async function getTopRated(type = 'movie') {
 }
 
 /**
- * Fetches the full details for a specific movie or TV show, including videos and cast.
+ * Fetches the full details for a specific movie or TV show, including videos, cast,
+ * recommendations and certifications.
  * @param {string} type - The media type ('movie' or 'tv').
  * @param {number} id - The TMDB ID of the media.
  * @returns {Promise<object>} A promise resolving to the media details object.
  */
 export function getMediaDetails(type, id) {
-    // Append 'videos' for trailers and 'credits' for cast information
-    return fetchFromTMDB(`/${type}/${id}`, '&append_to_response=videos,credits');
+    // Append 'videos' for trailers, 'credits' for cast, 'recommendations' for "More like this"
+    // and the release dates (movies) or content ratings (TV) that carry the certification.
+    const ratings = type === 'tv' ? 'content_ratings' : 'release_dates';
+    // Videos are filtered by language too; fall back to English and language-neutral trailers.
+    const videoLanguages = [...new Set([getLocale().split('-')[0], 'en', 'null'])].join(',');
+    return fetchFromTMDB(`/${type}/${id}`, `&append_to_response=videos,credits,recommendations,${ratings}&include_video_language=${videoLanguages}`);
 }
 
 /**
- * Searches for a movie or TV show on TMDB based on its title and year.
- * This is crucial for matching results from the Gemini API.
+ * Fetches one season of a TV show, including its episodes.
+ * @param {number} tvId - The TMDB ID of the show.
+ * @param {number} seasonNumber - The season number (0 is usually "Specials").
+ * @returns {Promise<object>} A promise resolving to the season object with an `episodes` array.
+ */
+export function getSeasonDetails(tvId, seasonNumber) {
+    return fetchFromTMDB(`/tv/${tvId}/season/${seasonNumber}`);
+}
+
+/**
+ * Fetches the core details for a movie or TV show (poster, genres, rating, dates) without
+ * the appended videos and credits, for lists that need many items at once.
  * @param {string} type - The media type ('movie' or 'tv').
- * @param {string} title - The title of the content.
- * @param {string} year - The release year of the content.
- * @returns {Promise<object|null>} The first and most likely search result, or null if no match is found.
+ * @param {number} id - The TMDB ID of the media.
+ * @param {object} [options={}]
+ * @param {boolean} [options.credits=false] - Also append the cast and crew.
+ * @returns {Promise<object>} A promise resolving to the media details object, tagged with `media_type`.
+ */
+export async function getMediaSummary(type, id, { credits = false } = {}) {
+    const details = await fetchFromTMDB(`/${type}/${id}`, credits ? '&append_to_response=credits' : '');
+    return { ...details, media_type: type };
+}
+
+/**
+ * Fetches the movie and TV genre names in the active language.
+ * @returns {Promise<Map<number, string>>} Genre names keyed by TMDB genre id.
+ */
+export async function getGenreNames() {
+    const [movieGenres, tvGenres] = await Promise.all([fetchFromTMDB('/genre/movie/list'), fetchFromTMDB('/genre/tv/list')]);
+    return new Map([...(movieGenres.genres || []), ...(tvGenres.genres || [])].map(genre => [genre.id, genre.name]));
+}
+
+/**
+ * Fetches a person's profile (biography, birthday, department they are known for).
+ * @param {number} id - The TMDB person ID.
+ * @returns {Promise<object>} A promise resolving to the person object.
  */
-export async function searchTMDB(type, title, year) {
-    const endpoint = `/search/${type}`;
+export function getPersonDetails(id) {
+    return fetchFromTMDB(`/person/${id}`);
+}
+
+/**
+ * Fetches every movie and TV credit of a person, both in front of and behind the camera.
+ * @param {number} id - The TMDB person ID.
+ * @returns {Promise<{cast: Array<object>, crew: Array<object>}>} A promise resolving to the credits,
+ *   each tagged with `media_type`; crew entries carry `department` and `job`.
+ */
+export function getPersonCredits(id) {
+    return fetchFromTMDB(`/person/${id}/combined_credits`);
+}
+
+/**
+ * Fetches where a title can be streamed, rented or bought, for one region.
+ * @param {string} type - The media type ('movie' or 'tv').
+ * @param {number} id - The TMDB ID of the media.
+ * @param {string} region - The ISO 3166-1 region code (e.g. 'US', 'DE').
+ * @returns {Promise<{link?: string, flatrate?: Array<object>, free?: Array<object>, ads?: Array<object>, rent?: Array<object>, buy?: Array<object>}>}
+ *   The region's offers (provider objects carry `provider_id`, `provider_name` and `logo_path`),
+ *   or an empty object if the title is not available there.
+ */
+export async function getWatchProviders(type, id, region) {
+    const data = await fetchFromTMDB(`/${type}/${id}/watch/providers`);
+    return data.results?.[region] || {};
+}
+
+/**
+ * Fetches the regions TMDB has streaming availability data for.
+ * @returns {Promise<Array<{iso_3166_1: string, english_name: string}>>} The regions, sorted by name.
+ */
+export async function getWatchRegions() {
+    const data = await fetchFromTMDB('/watch/providers/regions');
+    return (data.results || []).sort((a, b) => a.english_name.localeCompare(b.english_name));
+}
+
+/**
+ * Fetches every streaming provider available in a region, for movies and TV combined.
+ * @param {string} region - The ISO 3166-1 region code.
+ * @returns {Promise<Array<{provider_id: number, provider_name: string, logo_path: string}>>}
+ *   The providers, most prominent in the region first.
+ */
+export async function getRegionProviders(region) {
+    const [movie, tv] = await Promise.all(['movie', 'tv'].map(type => fetchFromTMDB(`/watch/providers/${type}`, `&watch_region=${region}`)));
+    const providers = new Map();
+    [...(movie.results || []), ...(tv.results || [])].forEach(provider => providers.set(provider.provider_id, provider));
+    const priority = provider => provider.display_priorities?.[region] ?? provider.display_priority ?? Infinity;
+    return [...providers.values()].sort((a, b) => priority(a) - priority(b));
+}
+
+// --- Title Matching ---
+
+// Matches scoring below this are treated as "no match"; below LOW_CONFIDENCE they are flagged.
+const MIN_MATCH_CONFIDENCE = 0.55;
+const LOW_MATCH_CONFIDENCE = 0.75;
+// A candidate scoring at least this well ends the search early.
+const EARLY_EXIT_CONFIDENCE = 0.9;
+
+/**
+ * Normalizes a title for comparison: strips accents, punctuation and leading articles.
+ * @param {string} title - The raw title.
+ * @returns {string} The normalized title.
+ */
+function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .replace(/^(the|a|an) /, '');
+}
+
+/**
+ * Scores how similar two normalized titles are (Dice coefficient over character bigrams).
+ * @param {string} a - A normalized title.
+ * @param {string} b - Another normalized title.
+ * @returns {number} Similarity from 0 to 1.
+ */
+function titleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const bigrams = text => {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const pair = text.slice(i, i + 2);
+            counts.set(pair, (counts.get(pair) || 0) + 1);
+        }
+        return counts;
+    };
+    const aPairs = bigrams(a);
+    const bPairs = bigrams(b);
+    let overlap = 0;
+    aPairs.forEach((count, pair) => { overlap += Math.min(count, bPairs.get(pair) || 0); });
+    const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+    return total > 0 ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Scores a TMDB search result against what the AI asked for.
+ * Weighs normalized title similarity, release-year distance and popularity, with a
+ * penalty when the media type differs from the AI's answer and a bonus for its id guess.
+ * @param {object} candidate - A TMDB search result tagged with `media_type`.
+ * @param {object} target - The AI recommendation ({ type, titles, year, tmdbId }).
+ * @returns {number} Confidence from 0 to 1.
+ */
+function scoreCandidate(candidate, { type, titles, year, tmdbId }) {
+    const candidateTitles = [candidate.title, candidate.name, candidate.original_title, candidate.original_name]
+        .filter(Boolean).map(normalizeTitle);
+    const similarity = Math.max(0, ...titles.flatMap(title => candidateTitles.map(other => titleSimilarity(title, other))));
+
+    const candidateYear = parseInt((candidate.release_date || candidate.first_air_date || '').split('-')[0], 10);
+    const distance = Number.isFinite(candidateYear) && year ? Math.abs(candidateYear - year) : null;
+    const yearScore = distance === null ? 0.5 : [1, 0.8, 0.4][distance] ?? 0;
+
+    const popularityScore = Math.min(1, Math.log10(1 + (candidate.popularity || 0)) / 3);
+
+    let confidence = 0.6 * similarity + 0.25 * yearScore + 0.15 * popularityScore;
+    if (candidate.media_type !== type) confidence *= 0.85; // e.g. the AI said "movie" for a miniseries
+    if (tmdbId && candidate.id === tmdbId && candidate.media_type === type) confidence += 0.1;
+    return Math.min(1, confidence);
+}
+
+/**
+ * Runs one TMDB search and tags each result with its media type.
+ * @param {string} type - 'movie' or 'tv'.
+ * @param {string} title - The title to search for.
+ * @param {number|null} year - Restrict to this first-release year, or null for any year.
+ * @returns {Promise<Array<object>>} The results (empty on error).
+ */
+async function searchByType(type, title, year) {
     const yearParam = type === 'movie' ? 'primary_release_year' : 'first_air_date_year';
-    const queryParams = `&query=${encodeURIComponent(title)}&${yearParam}=${year}`;
+    const queryParams = `&query=${encodeURIComponent(title)}${year ? `&${yearParam}=${year}` : ''}`;
     try {
-        const data = await fetchFromTMDB(endpoint, queryParams);
-        // Return the first result if it exists, otherwise null
-        return data.results && data.results.length > 0 ? data.results[0] : null;
+        const data = await fetchFromTMDB(`/search/${type}`, queryParams);
+        return (data.results || []).map(result => ({ ...result, media_type: type }));
     } catch (error) {
-        console.error(`Failed to search for ${title} (${year}):`, error);
-        return null; // Return null on error to prevent crashing the recommendation flow
+        console.error(`Failed to search ${type} for ${title} (${year || 'any year'}):`, error);
+        return [];
+    }
+}
+
+/**
+ * Matches an AI recommendation to a TMDB movie or TV show.
+ * Searches the AI's media type with the exact year first, then any year (so off-by-one
+ * years still match), then the other media type, for both the English and original titles.
+ * Every candidate is scored by title similarity, year distance and popularity.
+ * @param {object} recommendation - The AI's recommendation.
+ * @param {string} recommendation.type - The media type the AI gave ('movie' or 'tv').
+ * @param {string} recommendation.title - The title as best known in English.
+ * @param {string} [recommendation.originalTitle] - The original-language title.
+ * @param {number} [recommendation.year] - The first-release year.
+ * @param {number|null} [recommendation.tmdbId] - The AI's TMDB id guess, if any.
+ * @returns {Promise<object|null>} The best TMDB result, tagged with `media_type`, `match_confidence` (0-1)
+ *   and `low_confidence`, or null if nothing scored above the minimum confidence.
+ */
+export async function matchTitle({ type, title, originalTitle, year, tmdbId = null }) {
+    const otherType = type === 'movie' ? 'tv' : 'movie';
+    const queries = [...new Set([title, originalTitle].filter(Boolean))];
+    const target = { type, titles: queries.map(normalizeTitle), year, tmdbId };
+    const attempts = queries.flatMap(query => [[type, query, year], [type, query, null], [otherType, query, null]]);
+
+    let best = null;
+    for (const [searchType, query, searchYear] of attempts) {
+        const results = await searchByType(searchType, query, searchYear);
+        results.forEach(candidate => {
+            const confidence = scoreCandidate(candidate, target);
+            if (!best || confidence > best.match_confidence) best = { ...candidate, match_confidence: confidence };
+        });
+        if (best && best.match_confidence >= EARLY_EXIT_CONFIDENCE) break;
     }
+
+    if (!best || best.match_confidence < MIN_MATCH_CONFIDENCE) return null;
+    return { ...best, low_confidence: best.match_confidence < LOW_MATCH_CONFIDENCE };
 }
 
 /**
  * Constructs a full URL for a TMDB poster or backdrop image.
  * Provides a more visually appealing fallback placeholder if the image path is missing.
  * @param {string|null} imagePath - The path from the TMDB API (e.g., '/xxxxx.jpg').
- * @param {string} [size='w500'] - The desired image size (e.g., 'w500', 'w780', 'original').
+ * @param {string} [size='w500'] - The desired image size (e.g., 'w500', 'w780', 'original'),
+ *   adjusted for the image quality setting.
  * @returns {string} The complete, absolute URL to the image.
  */
 export function getPosterUrl(imagePath, size = 'w500') {
@@ -107,5 +465,34 @@ export function getPosterUrl(imagePath, size = 'w500') {
         const dimensions = size === 'w780' ? '780x1170' : '500x750';
         return `https://via.placeholder.com/${dimensions}/151515/5a5a5a?text=Image+Not+Available`;
     }
-    return `${IMAGE_BASE_URL}${size}${imagePath}`;
+    const scaledSize = IMAGE_QUALITY_SIZES[getSettings().imageQuality]?.[size] || size;
+    return `${IMAGE_BASE_URL}${scaledSize}${imagePath}`;
+}
+
+/**
+ * Picks the best YouTube trailer from a details object's appended `videos`:
+ * official trailers first, then any trailer, then teasers.
+ * @param {object} details - A details object from `getMediaDetails`.
+ * @returns {string|null} The YouTube video key, or null if there is none.
+ */
+export function getTrailerKey(details) {
+    const videos = (details.videos?.results || []).filter(video => video.site === 'YouTube');
+    const rank = video => (video.type === 'Trailer' ? 0 : video.type === 'Teaser' ? 2 : 4) + (video.official ? 0 : 1);
+    const [best] = videos.filter(video => rank(video) < 4).sort((a, b) => rank(a) - rank(b));
+    return best?.key || null;
+}
+
+/**
+ * Reads the age certification (e.g. "PG-13", "TV-MA") from a details object's appended
+ * release dates (movies) or content ratings (TV).
+ * @param {object} details - A details object from `getMediaDetails`.
+ * @param {string} [region] - The ISO 3166-1 region whose rating to use; defaults to the locale's region.
+ * @returns {string|null} The certification, or null if none is listed.
+ */
+export function getCertification(details, region = getLocaleRegion()) {
+    if (details.content_ratings) {
+        return details.content_ratings.results?.find(entry => entry.iso_3166_1 === region)?.rating || null;
+    }
+    const releases = details.release_dates?.results?.find(entry => entry.iso_3166_1 === region)?.release_dates || [];
+    return releases.find(release => release.certification)?.certification || null;
 }
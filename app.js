@@ -10,8 +10,12 @@ APP.JS - AWWWARDS REBUILD 2025 (ENHANCED & POLISHED)
 // --- MODULE IMPORTS ---
 import * as api from './api.js';
 import * as gemini from './gemini.js';
+import * as ai from './ai-providers.js';
 import * as trakt from './trakt.js';
 import * as storage from './storage.js';
+import { t, formatNumber, formatDate, LOCALES, getLocale, setLocale } from './i18n.js';
+import { createBarChart, createStackedBarChart, createChartLegend, createHeatmap, toDateKey } from './charts.js';
+import { getSavedTasteProfile, rebuildTasteProfileInBackground, summarizeTasteProfile, loadHistoryTitleFacts, rankByPlays, MAX_WATCHED_TITLES } from './taste-profile.js';
 
 // --- DOM ELEMENT SELECTORS ---
 const dom = {
@@ -20,8 +24,12 @@ const dom = {
     trakt: {
         authBtn: document.getElementById('trakt-auth-button'),
         statsLink: document.getElementById('stats-nav-link'),
+        watchlistLink: document.getElementById('watchlist-nav-link'),
+        listsLink: document.getElementById('lists-nav-link'),
     },
     themeToggleBtn: document.getElementById('theme-toggle-button'),
+    localeSelect: document.getElementById('locale-select'),
+    offlineIndicator: document.getElementById('offline-indicator'),
 };
 
 // --- APPLICATION STATE ---
@@ -29,7 +37,22 @@ const state = {
     isTraktAuthenticated: false,
     currentTheme: 'light',
     currentRoute: null,
+    previousRoute: null,
     traktWatchlist: [],
+    watchedIds: new Set(), // 'movie:123' / 'tv:456' keys of everything watched on Trakt
+    showWatched: false,
+    onlyMyServices: false, // Hide titles that are not streaming on the user's saved services
+    traktLists: null, // The user's personal Trakt lists, loaded on demand
+    watchlistView: { items: [], selected: new Set(), sort: 'added', type: 'any', genre: '' },
+    detailActivity: null, // { key, plays, rating, undo } for the open detail view's Trakt controls
+    searchSession: null, // { query, conversation, turns: [{ query, results }], inFlight }
+    similarVibeCache: new Map(), // 'movie:123' -> AI "similar vibe" results, so revisits skip the AI call
+    deepCutsCache: new Map(), // TMDB person id -> AI "underrated works" picks
+    filmographySort: 'year', // 'year' or 'rating'
+    isOffline: false, // Mirrors navigator.onLine; AI features are disabled while offline
+    statsRange: 'year', // 'year' (this calendar year) or 'all'
+    statsData: null, // { history, titles, genreNames } behind the stats dashboard
+    carouselLoad: 0, // Bumped by every home carousel load, so a superseded load drops its rows
 };
 
 // ================================================================
@@ -61,6 +84,35 @@ function initTheme() {
     applyTheme(savedTheme || (systemPrefersDark ? 'dark' : 'light'));
 }
 
+// ================================================================
+// --- LOCALIZATION ---
+// ================================================================
+
+// The header lives in index.html; its strings are keyed with data-i18n / data-i18n-aria-label / data-i18n-title.
+function applyStaticTranslations() {
+    document.documentElement.lang = getLocale();
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)));
+    document.querySelectorAll('[data-i18n-title]').forEach(el => el.setAttribute('title', t(el.dataset.i18nTitle)));
+}
+
+function initLocale() {
+    if (dom.localeSelect) {
+        dom.localeSelect.innerHTML = Object.entries(LOCALES).map(([locale, { label }]) => `<option value="${locale}"${locale === getLocale() ? ' selected' : ''}>${label}</option>`).join('');
+    }
+    applyStaticTranslations();
+}
+
+function changeLocale(locale) {
+    setLocale(locale);
+    applyStaticTranslations();
+    updateAuthUI();
+    // AI reasons are written in the previous language, so ask again on the next visit.
+    state.similarVibeCache.clear();
+    state.deepCutsCache.clear();
+    router();
+}
+
 // ================================================================
 // --- ROUTING & VIEW RENDERING ---
 // ================================================================
@@ -69,13 +121,21 @@ const routes = {
     '/': 'renderHomeView',
     '/movie/:id': 'renderDetailView',
     '/tv/:id': 'renderDetailView',
+    '/tv/:id/season/:n': 'renderSeasonView',
     '/search/:query': 'renderSearchView',
+    '/person/:id': 'renderPersonView',
     '/stats': 'renderStatsView',
+    '/watchlist': 'renderWatchlistView',
+    '/lists': 'renderListsView',
+    '/list/:id': 'renderListView',
+    '/settings': 'renderSettingsView',
+    '/history/:id': 'renderSavedSearchView',
 };
 
 async function router() {
     const hash = window.location.hash.substring(1) || '/';
     const [path, param] = hash.split(/(?<=^\/[a-zA-Z]+)\/(.*)/s).filter(Boolean);
+    state.previousRoute = state.currentRoute;
     state.currentRoute = path || '/';
 
     if (!dom.root) return;
@@ -88,11 +148,12 @@ async function router() {
     showLoading();
     dom.root.classList.remove('view-transition-out');
 
-    const routeHandlerName = routes[path] || routes['/'];
+    const routeKey = findRoute(path, param);
+    const routeHandlerName = routes[routeKey] || routes['/'];
     const handler = viewHandlers[routeHandlerName];
 
     try {
-        const type = path.includes('/tv/') ? 'tv' : 'movie';
+        const type = path === '/tv' ? 'tv' : 'movie';
         await handler({ param, type });
         // Set focus on the new view's main heading for accessibility
         const mainHeading = dom.root.querySelector('h1');
@@ -101,41 +162,169 @@ async function router() {
 
     } catch (error) {
         console.error(`Failed to render view: ${routeHandlerName}`, error);
-        renderError('Could not load content. Please check your connection and try again.');
+        renderApiError(error, dom.root, t('errors.loadContent'));
     }
 }
 
+// Route patterns are matched on their first segment ('/movie/:id' -> '/movie'), and the rest of the hash
+// is the handler's param. Longer patterns ('/tv/:id/season/:n') must also match their literal segments.
+function findRoute(path, param = '') {
+    const segments = [path.slice(1), ...(param ? param.split('/') : [])];
+    const patterns = Object.keys(routes).sort((a, b) => b.split('/').length - a.split('/').length);
+    return patterns.find(pattern => {
+        const parts = pattern.slice(1).split('/');
+        if (parts[0] !== segments[0]) return false;
+        if (parts.length <= 2) return true;
+        return parts.length === segments.length && parts.every((part, i) => part.startsWith(':') || part === segments[i]);
+    });
+}
+
 const viewHandlers = {
     async renderHomeView() {
         render(createAIPrompt(), { instant: true });
+        bindSavedSearches(dom.root);
+        dom.root.querySelector('.carousel-master-container')?.insertAdjacentHTML('beforebegin', createServicesToggle());
+        bindServicesToggle(() => {
+            document.querySelector('.carousel-master-container').innerHTML = '';
+            loadDiscoveryCarousels();
+        });
         loadDiscoveryCarousels();
     },
     async renderDetailView({ param: id, type }) {
         const details = await api.getMediaDetails(type, id);
         const releaseYear = (details.release_date || details.first_air_date || '').split('-')[0];
         const isInWatchlist = state.traktWatchlist.some(item => (item.movie?.ids?.tmdb || item.show?.ids?.tmdb) === details.id);
-        const html = `<div class="view detail-view" data-media-id="${details.id}" data-media-type="${type}" data-media-title="${details.title || details.name}" data-media-year="${releaseYear}"><div class="detail-poster"><img src="${api.getPosterUrl(details.poster_path, 'w780')}" alt="${details.title || details.name}"></div><div class="detail-info"><h1>${details.title || details.name}</h1><div class="detail-meta"><span>${releaseYear}</span>${details.runtime ? `<span>• ${details.runtime} min</span>` : ''}<span>• ★ ${details.vote_average.toFixed(1)}</span></div><p>${details.overview}</p><button class="trakt-button watchlist-button" style="margin-top: 2rem;">${isInWatchlist ? '<i data-lucide="check"></i> In Watchlist' : '<i data-lucide="plus"></i> Add to Watchlist'}</button></div></div>`;
+        const aiReason = state.previousRoute === '/search' ? findSearchReason(type, details.id) : '';
+        const aiReasonHtml = aiReason ? `<blockquote class="detail-ai-reason"><span><i data-lucide="sparkles"></i> ${t('detail.whyThisPick')}</span><p>${escapeHTML(aiReason)}</p></blockquote>` : '';
+        const certification = api.getCertification(details);
+        const genresHtml = details.genres?.length ? `<ul class="detail-genres">${details.genres.map(genre => `<li>${escapeHTML(genre.name)}</li>`).join('')}</ul>` : '';
+        const lengthHtml = type === 'tv'
+            ? (details.number_of_seasons ? `<span>• ${t('detail.seasonCount', { count: details.number_of_seasons })}</span>` : '')
+            : (details.runtime ? `<span>• ${t('detail.runtime', { minutes: details.runtime })}</span>` : '');
+        const html = `<div class="view detail-view" data-media-id="${details.id}" data-media-type="${type}" data-media-title="${details.title || details.name}" data-media-year="${releaseYear}"><div class="detail-poster"><img src="${api.getPosterUrl(details.poster_path, 'w780')}" alt="${details.title || details.name}"></div><div class="detail-info"><h1>${details.title || details.name}</h1><div class="detail-meta"><span>${releaseYear}</span>${certification ? `<span class="detail-certification">${escapeHTML(certification)}</span>` : ''}${lengthHtml}<span>• ★ ${formatNumber(details.vote_average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span></div>${genresHtml}${aiReasonHtml}<p>${details.overview}</p><button class="trakt-button watchlist-button" style="margin-top: 2rem;">${createWatchlistButtonContent(isInWatchlist)}</button>${createTraktActivity(type)}${createListPicker()}${createWatchProviders()}</div>${createTrailerSection(details)}${createCastSection(details)}${type === 'tv' ? createSeasonsSection(details) : ''}${createMoreLikeThis(details, type)}</div>`;
         render(html);
+        const view = dom.root.querySelector('.detail-view');
+        loadTraktActivity(view);
+        loadListPicker(view);
+        loadWatchProviders(view, type, details.id);
+        loadSimilarVibe(view, details, type);
+    },
+    async renderSeasonView({ param }) {
+        const [id, , rawSeasonNumber] = param.split('/');
+        const seasonNumber = parseInt(rawSeasonNumber, 10);
+        const [show, season] = await Promise.all([api.getMediaSummary('tv', id), api.getSeasonDetails(id, seasonNumber)]);
+        const tabs = (show.seasons || []).map(entry => `<a class="chip${entry.season_number === seasonNumber ? ' is-active' : ''}" href="#/tv/${id}/season/${entry.season_number}"${entry.season_number === seasonNumber ? ' aria-current="page"' : ''}>${escapeHTML(entry.name)}</a>`).join('');
+        const episodes = (season.episodes || []).map(createEpisodeItem).join('');
+        const airYear = (season.air_date || '').split('-')[0];
+        render(`<div class="view season-view"><a class="nav-link" href="#/tv/${id}">← ${escapeHTML(show.name)}</a><h1>${escapeHTML(season.name)}</h1><div class="detail-meta">${airYear ? `<span>${airYear}</span>` : ''}<span>${airYear ? '• ' : ''}${t('detail.episodeCount', { count: season.episodes?.length || 0 })}</span></div><nav class="season-tabs" aria-label="Seasons">${tabs}</nav>${season.overview ? `<p class="season-overview">${escapeHTML(season.overview)}</p>` : ''}<ol class="episode-list">${episodes}</ol></div>`);
+    },
+    async renderPersonView({ param: id }) {
+        const [person, credits] = await Promise.all([api.getPersonDetails(id), api.getPersonCredits(id)]);
+        const departments = groupFilmography(credits, person.known_for_department);
+        const [firstParagraph, ...moreParagraphs] = (person.biography || '').split(/\n\s*\n/).filter(Boolean).map(paragraph => `<p>${escapeHTML(paragraph)}</p>`);
+        const biography = firstParagraph ? `${firstParagraph}${moreParagraphs.length > 0 ? `<details class="person-bio-more"><summary>${t('person.readMore')}</summary>${moreParagraphs.join('')}</details>` : ''}` : `<p>${t('person.noBiography')}</p>`;
+        const born = person.birthday ? `<span>• ${escapeHTML(t(person.place_of_birth ? 'person.bornIn' : 'person.born', { date: formatDate(person.birthday), place: person.place_of_birth }))}</span>` : '';
+        const died = person.deathday ? `<span>• ${escapeHTML(t('person.died', { date: formatDate(person.deathday) }))}</span>` : '';
+        const option = (value, label) => `<option value="${value}"${state.filmographySort === value ? ' selected' : ''}>${label}</option>`;
+        render(`<div class="view person-view" data-person-id="${person.id}"><div class="person-header"><div class="detail-poster"><img src="${api.getPosterUrl(person.profile_path, 'w500')}" alt="${escapeHTML(person.name)}"></div><div class="detail-info"><h1>${escapeHTML(person.name)}</h1><div class="detail-meta">${person.known_for_department ? `<span>${escapeHTML(person.known_for_department)}</span>` : ''}${born}${died}</div><div class="person-bio">${biography}</div></div></div><section class="detail-section person-deep-cuts"><h2 class="carousel-title"><i data-lucide="sparkles"></i> ${t('person.underratedWorks')}</h2><div class="deep-cuts-results"><div class="loading-container similar-vibe-loading"><div class="spinner"></div></div></div></section><section class="detail-section filmography"><div class="filmography-header"><h2 class="carousel-title">${t('person.filmography')}</h2><form class="search-filters filmography-sort" aria-label="${t('person.sortLabel')}"><label>${t('sort.sortBy')}<select name="sort">${option('year', t('sort.year'))}${option('rating', t('sort.rating'))}</select></label></form></div><div class="filmography-departments"></div></section></div>`);
+        const view = dom.root.querySelector('.person-view');
+        renderFilmography(view, departments);
+        view.querySelector('.filmography-sort select').addEventListener('change', e => {
+            state.filmographySort = e.target.value;
+            renderFilmography(view, departments);
+        });
+        loadDeepCuts(view, person, departments);
     },
-    async renderSearchView({ param: query }) {
-        const decodedQuery = decodeURIComponent(query);
-        render(`<div class="view search-view"><h1 class="search-title">Results for "${decodedQuery}"</h1><div class="search-results-container"></div></div>`, { instant: true });
-        const recommendationsText = await gemini.getAIRecommendations({ searchQuery: decodedQuery });
-        const results = await parseAndFetchGeminiResults(recommendationsText);
-        const resultsContainer = document.querySelector('.search-results-container');
-        if (resultsContainer && results.length > 0) {
-            resultsContainer.innerHTML = createCarousel('AI Recommendations', results);
-        } else if (resultsContainer) {
-            renderError('The AI could not find any recommendations for that query.', resultsContainer);
+    async renderSearchView({ param }) {
+        const { query: decodedQuery, filters } = parseSearchParam(param);
+        // Keep the conversation alive across detail-view round trips; a new query or filter set starts a new one.
+        if (state.searchSession?.key !== param) {
+            const conversation = gemini.createConversation({ type: filters.type, filters });
+            state.searchSession = { key: param, query: decodedQuery, filters, conversation, turns: [], inFlight: null };
+        }
+        const session = state.searchSession;
+        if (session.inFlight) await session.inFlight;
+        if (state.searchSession !== session || state.currentRoute !== '/search') return;
+        if (state.isOffline && session.turns.length === 0) { renderOfflineSearch(param); return; }
+
+        render(`<div class="view search-view"><h1 class="search-title">${escapeHTML(t('search.title', { query: decodedQuery }))}</h1>${createSearchFilters(decodedQuery, filters)}${createWatchedToggle()}${createServicesToggle()}${createSaveListControl()}<div class="search-conversation"></div><form class="refine-form"><input type="text" class="search-input refine-input" placeholder="${escapeHTML(t('search.refinePlaceholder'))}" aria-label="${t('search.refineLabel')}"></form>${createOfflineNotice()}</div>`, { instant: true });
+        bindRefineForm(session);
+        bindSearchFilters(decodedQuery);
+        bindWatchedToggle(session);
+        bindServicesToggle(async () => {
+            // Results found while the filter was off have no availability yet.
+            if (state.onlyMyServices) await Promise.all(session.turns.map(async turn => { turn.results = await annotateAvailability(turn.results); }));
+            if (state.searchSession === session && state.currentRoute === '/search') renderConversation(session);
+        });
+        bindSaveListControl(session);
+
+        if (session.turns.length > 0) {
+            renderConversation(session);
+        } else {
+            await runSearchTurn(session, decodedQuery);
         }
     },
+    async renderWatchlistView() {
+        if (!state.isTraktAuthenticated) { window.location.hash = '/'; return; }
+        await fetchTraktWatchlist();
+        const entries = state.traktWatchlist.map(toTraktMediaEntry).filter(Boolean);
+        // Trakt entries carry no posters or genres, so pull TMDB summaries a few at a time.
+        const summaries = await mapInBatches(entries, 8, entry => api.getMediaSummary(entry.type, entry.id));
+        const view = state.watchlistView;
+        view.items = entries.map((entry, i) => ({ ...entry, details: summaries[i] })).filter(entry => entry.details);
+        view.selected = new Set();
+
+        const genres = [...new Set(view.items.flatMap(entry => entry.details.genres?.map(genre => genre.name) || []))].sort();
+        const option = (value, label, current) => `<option value="${value}"${current === value ? ' selected' : ''}>${label}</option>`;
+        const html = `<div class="view watchlist-view"><h1>${t('watchlist.title')}</h1>${createTonightPicker()}<form class="watchlist-toolbar search-filters" aria-label="${t('watchlist.toolbarLabel')}"><label>${t('sort.sortBy')}<select name="sort">${option('added', t('sort.dateAdded'), view.sort)}${option('year', t('sort.releaseYear'), view.sort)}${option('rating', t('sort.rating'), view.sort)}</select></label><label>${t('filters.type')}<select name="type">${option('any', t('filters.anyType'), view.type)}${option('movie', t('filters.movies'), view.type)}${option('tv', t('filters.tv'), view.type)}</select></label><label>${t('watchlist.genre')}<select name="genre">${option('', t('watchlist.allGenres'), view.genre)}${genres.map(genre => option(genre, genre, view.genre)).join('')}</select></label><button type="button" class="trakt-button watchlist-bulk-remove" disabled>${t('watchlist.removeSelected')}</button></form><div class="watchlist-grid"></div></div>`;
+        render(html);
+        bindTonightPicker(dom.root);
+        bindWatchlistToolbar();
+        renderWatchlistGrid();
+    },
+    async renderListsView() {
+        if (!state.isTraktAuthenticated) { window.location.hash = '/'; return; }
+        const lists = await fetchTraktLists({ force: true });
+        const cards = lists.map(list => `<a class="list-card stat-card" href="#/list/${list.ids.trakt}"><h2>${escapeHTML(list.name)}</h2>${list.description ? `<p>${escapeHTML(list.description)}</p>` : ''}<span>${t('lists.titleCount', { count: list.item_count })}</span></a>`).join('');
+        render(`<div class="view lists-view"><h1>${t('lists.title')}</h1>${lists.length > 0 ? `<div class="lists-grid">${cards}</div>` : '<div class="lists-grid"></div>'}</div>`);
+        if (lists.length === 0) renderError(t('lists.none'), dom.root.querySelector('.lists-grid'));
+    },
+    async renderListView({ param: listId }) {
+        if (!state.isTraktAuthenticated) { window.location.hash = '/'; return; }
+        const [lists, items] = await Promise.all([fetchTraktLists(), trakt.getListItems(listId)]);
+        const list = lists.find(candidate => String(candidate.ids.trakt) === listId || candidate.ids.slug === listId);
+        const entries = items.map(toTraktMediaEntry).filter(Boolean);
+        const summaries = await mapInBatches(entries, 8, entry => api.getMediaSummary(entry.type, entry.id));
+        const cards = summaries.filter(Boolean).map(details => `<div class="watchlist-item">${createPosterCard(details, details.media_type)}</div>`).join('');
+        render(`<div class="view lists-view"><a class="nav-link" href="#/lists">${t('lists.allLists')}</a><h1>${escapeHTML(list?.name || t('lists.fallbackName'))}</h1><div class="watchlist-grid">${cards}</div></div>`);
+        if (!cards) renderError(t('lists.empty'), dom.root.querySelector('.watchlist-grid'));
+    },
     async renderStatsView() {
         if (!state.isTraktAuthenticated) { window.location.hash = '/'; return; }
         const stats = await trakt.getUserStats();
         const { movies, shows, episodes } = stats;
         const totalDays = ((movies.minutes || 0) + (episodes.minutes || 0)) / 60 / 24;
-        const html = `<div class="view stats-view"><h1>My Stats</h1><div class="stats-grid"><div class="stat-card"><span>Movies Watched</span><p>${(movies.watched || 0).toLocaleString()}</p></div><div class="stat-card"><span>Shows Watched</span><p>${(shows.watched || 0).toLocaleString()}</p></div><div class="stat-card"><span>Episodes Watched</span><p>${(episodes.watched || 0).toLocaleString()}</p></div><div class="stat-card"><span>Total Time</span><p>${totalDays.toFixed(0)} <span class="unit">days</span></p></div></div></div>`;
+        const html = `<div class="view stats-view"><h1>${t('stats.title')}</h1><div class="stats-grid"><div class="stat-card"><span>${t('stats.movies')}</span><p>${formatNumber(movies.watched || 0)}</p></div><div class="stat-card"><span>${t('stats.shows')}</span><p>${formatNumber(shows.watched || 0)}</p></div><div class="stat-card"><span>${t('stats.episodes')}</span><p>${formatNumber(episodes.watched || 0)}</p></div><div class="stat-card"><span>${t('stats.totalTime')}</span><p>${formatNumber(totalDays, { maximumFractionDigits: 0 })} <span class="unit">${t('stats.days')}</span></p></div></div><p class="stats-as-of">${t('stats.asOf', { date: formatDate(new Date(), { dateStyle: 'long', timeStyle: 'short' }) })}</p>${createStatsDashboard()}</div>`;
         render(html);
+        const view = dom.root.querySelector('.stats-view');
+        bindStatsDashboard(view);
+        loadStatsDashboard(view);
+    },
+    async renderSavedSearchView({ param: id }) {
+        const entry = storage.getSavedSearch(id);
+        if (!entry) { renderError(t('history.notFound')); return; }
+        const turns = entry.turns.map((turn, i) => {
+            const visible = visibleResults(turn.results);
+            return `<section class="conversation-turn">${i > 0 ? `<p class="conversation-query">${escapeHTML(turn.query)}</p>` : ''}<div class="search-results-container">${createCarousel(i === 0 ? t('search.aiRecommendations') : t('search.refinedRecommendations'), visible)}</div></section>`;
+        }).join('');
+        render(`<div class="view search-view saved-search-view"><h1 class="search-title">${escapeHTML(t('history.snapshotTitle', { query: entry.query }))}</h1>${createOfflineNotice(t('offline.savedResults', { date: formatDate(entry.searchedAt, { dateStyle: 'medium', timeStyle: 'short' }) }))}<div class="saved-search-meta"><span>${t('history.searchedAt', { date: formatDate(entry.searchedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</span><button type="button" class="trakt-button" data-search-key="${escapeHTML(entry.key)}"><i data-lucide="refresh-cw"></i> ${t('history.rerun')}</button></div><div class="search-conversation">${turns}</div></div>`);
+        dom.root.querySelector('[data-search-key]').addEventListener('click', e => rerunSearch(e.currentTarget.dataset.searchKey));
+    },
+    async renderSettingsView() {
+        render(createSettingsView());
+        const view = dom.root.querySelector('.settings-view');
+        bindSettingsView(view);
+        loadRegionOptions(view.querySelector('select[name="watchRegion"]'), storage.getSettings().watchRegion || '');
     }
 };
 
@@ -145,16 +334,37 @@ function render(html, options = {}) {
         options.instant ? target.innerHTML = html : (target.innerHTML = '', target.insertAdjacentHTML('beforeend', html));
         if (window.lucide) lucide.createIcons();
         bindSearchInputEvents();
+        updateConnectivityUI();
     }
 }
 
-function renderError(message, target = dom.root) {
+function renderError(message, target = dom.root, icon = 'alert-circle') {
     if (target) {
-        target.innerHTML = `<div class="error-view" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);"><i data-lucide="alert-circle" style="width: 48px; height: 48px; margin-bottom: 1rem;"></i><p>${message}</p></div>`;
+        target.innerHTML = `<div class="error-view" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);"><i data-lucide="${icon}" style="width: 48px; height: 48px; margin-bottom: 1rem;"></i><p>${message}</p></div>`;
         if (window.lucide) lucide.createIcons();
     }
 }
 
+// Each typed request error (see http.js) gets its own icon and message.
+const ERROR_ICONS = { 'rate-limited': 'timer', auth: 'lock', 'not-found': 'search-x', network: 'wifi-off' };
+const SERVICE_LABELS = { TMDB: () => 'TMDB', AI: () => t('errors.serviceAI'), Trakt: () => 'Trakt' };
+
+function describeError(error, fallback = t('errors.generic')) {
+    const service = SERVICE_LABELS[error?.service]?.() || t('errors.serviceServer');
+    switch (error?.kind) {
+        case 'rate-limited': return t('errors.rateLimited', { service });
+        case 'auth': return error.service === 'Trakt' ? t('errors.traktSession') : t('errors.auth', { service });
+        case 'not-found': return t('errors.notFound');
+        case 'network': return t('errors.network', { service });
+        case 'server': return t('errors.server', { service });
+        default: return fallback;
+    }
+}
+
+function renderApiError(error, target = dom.root, fallback) {
+    renderError(describeError(error, fallback), target, ERROR_ICONS[error?.kind]);
+}
+
 // ================================================================
 // --- DYNAMIC CONTENT LOADING & COMPONENTS ---
 // ================================================================
@@ -163,20 +373,34 @@ async function loadDiscoveryCarousels() {
     if (state.currentRoute !== '/') return;
     const masterContainer = document.querySelector('.carousel-master-container');
     if (!masterContainer) return;
+    const load = ++state.carouselLoad;
 
     const carouselsToLoad = [
-        { title: "Trending Movies", fetcher: () => api.getTrending('movie'), type: 'movie' },
-        { title: "Trending TV Shows", fetcher: () => api.getTrending('tv'), type: 'tv' },
-        { title: "Top Rated Movies", fetcher: () => api.getTopRated('movie'), type: 'movie' },
-        { title: "Top Rated TV Shows", fetcher: () => api.getTopRated('tv'), type: 'tv' },
+        { title: t('carousel.trendingMovies'), fetcher: () => api.getTrending('movie'), type: 'movie' },
+        { title: t('carousel.trendingTv'), fetcher: () => api.getTrending('tv'), type: 'tv' },
+        { title: t('carousel.topRatedMovies'), fetcher: () => api.getTopRated('movie'), type: 'movie' },
+        { title: t('carousel.topRatedTv'), fetcher: () => api.getTopRated('tv'), type: 'tv' },
     ];
 
+    if (state.isTraktAuthenticated && !state.isOffline) {
+        carouselsToLoad.push({ title: t('carousel.personalized'), fetcher: getTraktPersonalizedRecs });
+    }
+
+    // A sibling to the personalized carousel: let the AI pick tonight's watch from the user's own watchlist.
     if (state.isTraktAuthenticated) {
-        carouselsToLoad.push({ title: "Based on Your Top Ratings", fetcher: getTraktPersonalizedRecs });
+        const pickerEl = document.createElement('div');
+        pickerEl.className = 'carousel-container';
+        pickerEl.innerHTML = createTonightPicker();
+        masterContainer.appendChild(pickerEl);
+        bindTonightPicker(pickerEl);
     }
 
-    const promises = carouselsToLoad.map(config => config.fetcher().then(data => ({ ...config, data })));
+    const promises = carouselsToLoad.map(config => config.fetcher()
+        .then(data => annotateAvailability(data, config.type))
+        .then(data => ({ ...config, data: data.filter(isAvailable) })));
     const results = await Promise.allSettled(promises);
+    // The services toggle or a new home render started a fresh load while this one was waiting.
+    if (load !== state.carouselLoad) return;
 
     results.forEach((result, i) => {
         if (result.status === 'fulfilled' && result.value.data?.length > 0 && state.currentRoute === '/') {
@@ -186,49 +410,1417 @@ async function loadDiscoveryCarousels() {
             carouselEl.style.animationDelay = `${i * 150}ms`;
             carouselEl.innerHTML = createCarousel(title, data, type);
             masterContainer.appendChild(carouselEl);
+            if (window.lucide) lucide.createIcons();
         } else if (result.status === 'rejected') {
             console.error(`Failed to load carousel "${carouselsToLoad[i].title}":`, result.reason);
+            if (state.currentRoute !== '/') return;
+            const errorEl = document.createElement('div');
+            errorEl.className = 'carousel-container';
+            errorEl.innerHTML = `<h2 class="carousel-title">${carouselsToLoad[i].title}</h2><div class="carousel-error"></div>`;
+            masterContainer.appendChild(errorEl);
+            renderApiError(result.reason, errorEl.querySelector('.carousel-error'), t('carousel.error'));
         }
     });
 }
 
 
+// Personal picks come from a taste profile of the user's whole Trakt rating and viewing history.
+// Building it can take a while, so the home page uses the saved profile and refreshes it in the
+// background; on a first visit the row stays hidden until a later one finds the profile saved.
 async function getTraktPersonalizedRecs() {
-    const ratings = await trakt.getTraktRatings();
-    if (ratings.length === 0) return [];
-    const seedItem = ratings[Math.floor(Math.random() * ratings.length)];
-    const seedTitle = seedItem.movie?.title || seedItem.show?.title;
-    const geminiResponse = await gemini.getAIRecommendations({ searchQuery: `Recommend 10 similar titles to "${seedTitle}".` });
-    return parseAndFetchGeminiResults(geminiResponse);
-}
-
-async function parseAndFetchGeminiResults(geminiResponse) {
-    if (!geminiResponse) return [];
-    const lines = geminiResponse.trim().split('\n');
-    const promises = lines.map(line => {
-        const [type, title, year] = line.split('|');
-        if (type && title && year) return api.searchTMDB(type.trim(), title.trim(), year.trim());
-        return null;
-    }).filter(Boolean);
-    return (await Promise.all(promises)).filter(Boolean);
-}
-
-function createAIPrompt() { return `<style>.view{animation:none;}</style><div class="view home-view"><div class="ai-prompt-container"><h1>Your Conversational Movie Navigator</h1><p>Tell me what you're in the mood for. A genre, an actor, a vibe – anything.</p><div class="search-input-wrapper"><input type="text" class="search-input" id="main-search-input" placeholder="e.g., &quot;space operas like Dune&quot;" aria-label="Search for movies and shows"></div><div class="suggestion-chips"><button class="chip" data-query="mind-bending sci-fi movies">Sci-Fi</button><button class="chip" data-query="cozy mystery shows">Mysteries</button><button class="chip" data-query="oscar winning dramas from the 90s">Dramas</button></div></div><div class="carousel-master-container"></div></div>`; }
+    const profile = getSavedTasteProfile();
+    rebuildTasteProfileInBackground();
+    if (!profile) return [];
+    const tasteProfile = await summarizeTasteProfile(profile);
+    if (!tasteProfile) return [];
+    const searchQuery = 'Titles this user has not seen yet and will love, based on their taste profile.';
+    const recommendations = await gemini.getAIRecommendations({ searchQuery, tasteProfile });
+    const results = await resolveRecommendations(recommendations, {
+        requestMore: (numResults, exclude) => gemini.getAIRecommendations({ searchQuery, tasteProfile, numResults, exclude }),
+    });
+    return visibleResults(results);
+}
+
+async function matchRecommendation(recommendation) {
+    // Low-confidence matches come back flagged; anything below the matcher's minimum is dropped.
+    const match = await api.matchTitle(recommendation);
+    // Keep the AI's rationale attached to the matched TMDB item so cards and detail views can show it.
+    return match ? { ...match, ai_reason: recommendation.reason } : null;
+}
+
+async function parseAndFetchGeminiResults(recommendations) {
+    if (!recommendations?.length) return [];
+    const matches = (await Promise.all(recommendations.map(matchRecommendation))).filter(Boolean);
+    // Two AI answers can resolve to the same TMDB title; keep the more confident one.
+    const unique = new Map();
+    matches.forEach(match => {
+        const key = mediaKey(match.media_type, match.id);
+        if (!unique.has(key) || unique.get(key).match_confidence < match.match_confidence) unique.set(key, match);
+    });
+    return [...unique.values()];
+}
+
+// Matches AI picks on TMDB and applies any search filters. When watched titles are hidden and some
+// were suggested, asks the AI once for replacements via `requestMore(count, exclude)`.
+async function resolveRecommendations(recommendations, { filters = null, requestMore = null } = {}) {
+    const resolve = async recs => {
+        const matches = await parseAndFetchGeminiResults(recs);
+        return annotateAvailability(filters ? await enforceSearchFilters(matches, filters) : matches);
+    };
+    const results = await resolve(recommendations);
+    return [...results, ...await backfillWatched(results, recommendations, resolve, requestMore)];
+}
+
+// Returns replacements for the watched titles among `results` (when watched titles are hidden),
+// resolved with `resolve`, or an empty array if none are needed or the request fails.
+async function backfillWatched(results, recommendations, resolve, requestMore) {
+    const watchedCount = results.filter(isWatched).length;
+    if (state.showWatched || watchedCount === 0 || !requestMore) return [];
+
+    try {
+        const exclude = recommendations.map(({ title, year }) => `${title} (${year})`);
+        const extra = await resolve(await requestMore(watchedCount, exclude));
+        const seen = new Set(results.map(item => mediaKey(item.media_type, item.id)));
+        return extra.filter(item => !seen.has(mediaKey(item.media_type, item.id)));
+    } catch (error) {
+        console.warn('Could not backfill already-watched recommendations:', error);
+        return [];
+    }
+}
+
+function mediaKey(type, id) { return `${type}:${id}`; }
+function isWatched(item) { return state.watchedIds.has(mediaKey(item.media_type, item.id)); }
+function isHidden(item) { return (!state.showWatched && isWatched(item)) || !isAvailable(item); }
+function isAvailable(item) { return !state.onlyMyServices || item.on_my_services !== false; }
+function visibleResults(results) { return results.filter(item => !isHidden(item)); }
+function countBy(values) { return values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map()); }
+function topCounts(counts, limit) { return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit); }
+
+function findSearchReason(type, id) {
+    const turns = state.searchSession?.turns || [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const match = turns[i].results.find(item => item.id === id && item.media_type === type);
+        if (match?.ai_reason) return match.ai_reason;
+    }
+    return '';
+}
+
+function describeAIError(error) {
+    if (error instanceof gemini.AIResponseFormatError) return t('errors.aiFormat');
+    return describeError(error, t('errors.aiUnreachable'));
+}
+
+// ================================================================
+// --- DETAIL VIEW: TRAILER, CAST, SEASONS & MORE LIKE THIS ---
+// ================================================================
+
+const MAX_CAST_MEMBERS = 20;
+const SIMILAR_VIBE_COUNT = 8;
+
+function createTrailerSection(details) {
+    const key = api.getTrailerKey(details);
+    if (!key) return '';
+    return `<section class="detail-section"><h2 class="carousel-title">${t('detail.trailer')}</h2><div class="detail-trailer"><iframe src="https://www.youtube-nocookie.com/embed/${encodeURIComponent(key)}" title="${escapeHTML(t('detail.trailerTitle', { title: details.title || details.name }))}" loading="lazy" allow="accelerometer; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe></div></section>`;
+}
+
+function createCastSection(details) {
+    const cast = (details.credits?.cast || []).slice(0, MAX_CAST_MEMBERS);
+    if (cast.length === 0) return '';
+    const cards = cast.map(person => `<a class="cast-card" href="#/person/${person.id}"><img src="${api.getPosterUrl(person.profile_path, 'w185')}" alt="${escapeHTML(person.name)}" loading="lazy"><strong>${escapeHTML(person.name)}</strong>${person.character ? `<span>${escapeHTML(person.character)}</span>` : ''}</a>`).join('');
+    return `<section class="detail-section"><h2 class="carousel-title">${t('detail.cast')}</h2><div class="carousel-content">${cards}</div></section>`;
+}
+
+function createSeasonsSection(details) {
+    const seasons = details.seasons || [];
+    if (seasons.length === 0) return '';
+    const cards = seasons.map(season => `<a class="cast-card season-card" href="#/tv/${details.id}/season/${season.season_number}"><img src="${api.getPosterUrl(season.poster_path, 'w185')}" alt="${escapeHTML(season.name)}" loading="lazy"><strong>${escapeHTML(season.name)}</strong><span>${t('detail.episodeCount', { count: season.episode_count })}</span></a>`).join('');
+    return `<section class="detail-section"><h2 class="carousel-title">${t('detail.seasons')}</h2><div class="carousel-content">${cards}</div></section>`;
+}
+
+function createEpisodeItem(episode) {
+    const meta = [episode.air_date ? formatDate(episode.air_date) : '', episode.runtime ? t('detail.runtime', { minutes: episode.runtime }) : '', episode.vote_average ? `★ ${formatNumber(episode.vote_average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}` : ''].filter(Boolean).join(' • ');
+    return `<li class="episode"><img src="${api.getPosterUrl(episode.still_path, 'w300')}" alt="" loading="lazy"><div><h2>${episode.episode_number}. ${escapeHTML(episode.name)}</h2>${meta ? `<div class="episode-meta">${meta}</div>` : ''}${episode.overview ? `<p>${escapeHTML(episode.overview)}</p>` : ''}</div></li>`;
+}
+
+function createMoreLikeThis(details, type) {
+    const recommendations = (details.recommendations?.results || []).filter(item => item.poster_path);
+    const tmdbRow = recommendations.length > 0
+        ? `<h3 class="more-like-this-subtitle">${t('detail.recommendedByTmdb')}</h3><div class="carousel-content">${recommendations.map(item => createPosterCard(item, item.media_type || type)).join('')}</div>`
+        : '';
+    return `<section class="detail-section more-like-this"><h2 class="carousel-title">${t('detail.moreLikeThis')}</h2>${tmdbRow}<h3 class="more-like-this-subtitle"><i data-lucide="sparkles"></i> ${t('detail.similarVibe')}</h3><div class="similar-vibe"><div class="loading-container similar-vibe-loading"><div class="spinner"></div></div></div></section>`;
+}
+
+// Asks the AI for titles with a similar vibe once the section scrolls into view, skipping
+// anything TMDB already recommended. Results are cached per title for the session.
+function loadSimilarVibe(view, details, type) {
+    const container = view?.querySelector('.similar-vibe');
+    if (!container) return;
+    const key = mediaKey(type, details.id);
+
+    const load = async () => {
+        if (state.isOffline && !state.similarVibeCache.has(key)) { renderError(t('offline.aiUnavailable'), container, 'wifi-off'); return; }
+        try {
+            if (!state.similarVibeCache.has(key)) {
+                const title = details.title || details.name;
+                const year = (details.release_date || details.first_air_date || '').split('-')[0];
+                const recommendations = await gemini.getAIRecommendations({
+                    searchQuery: `Titles with a similar vibe, tone and themes to the ${type === 'tv' ? 'TV show' : 'movie'} "${title}" (${year})`,
+                    numResults: SIMILAR_VIBE_COUNT,
+                    exclude: [`${title} (${year})`],
+                });
+                const shown = new Set([key, ...(details.recommendations?.results || []).map(item => mediaKey(item.media_type || type, item.id))]);
+                const results = await resolveRecommendations(recommendations);
+                state.similarVibeCache.set(key, results.filter(item => !shown.has(mediaKey(item.media_type, item.id))));
+            }
+            if (!container.isConnected) return;
+            const results = visibleResults(state.similarVibeCache.get(key));
+            container.innerHTML = results.length > 0 ? `<div class="carousel-content">${results.map(item => createPosterCard(item)).join('')}</div>` : '';
+            if (results.length === 0) renderError(t('detail.similarVibeEmpty'), container);
+            if (window.lucide) lucide.createIcons();
+        } catch (error) {
+            console.error('Could not load similar-vibe recommendations:', error);
+            if (container.isConnected) renderError(describeAIError(error), container);
+        }
+    };
+
+    // Only spend an AI call if the user actually scrolls down to the section.
+    const observer = new IntersectionObserver(entries => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        observer.disconnect();
+        load();
+    }, { rootMargin: '200px' });
+    observer.observe(container);
+}
+
+// ================================================================
+// --- STREAMING AVAILABILITY ---
+// ================================================================
+
+// Offer types that count as "on my services": included with a subscription, or free.
+const SUBSCRIPTION_OFFER_TYPES = ['flatrate', 'free', 'ads'];
+const WATCH_OFFER_GROUPS = [['flatrate', 'watch.stream'], ['free', 'watch.free'], ['ads', 'watch.ads'], ['rent', 'watch.rent'], ['buy', 'watch.buy']];
+
+// Tags each item with `on_my_services` when the services filter is on; items whose availability
+// cannot be loaded are left untagged (and stay visible). Lookups cost one request per title, so
+// views re-annotate their items when the filter is switched on (see `bindServicesToggle`).
+async function annotateAvailability(items, fallbackType = 'movie') {
+    const myServices = new Set(storage.getMyServices());
+    if (!state.onlyMyServices || myServices.size === 0) return items;
+    const region = storage.getWatchRegion();
+    return Promise.all(items.map(async item => {
+        try {
+            const offers = await api.getWatchProviders(item.media_type || fallbackType, item.id, region);
+            const onMyServices = SUBSCRIPTION_OFFER_TYPES.some(offerType => (offers[offerType] || []).some(provider => myServices.has(provider.provider_id)));
+            return { ...item, on_my_services: onMyServices };
+        } catch (error) {
+            console.warn(`Could not load streaming availability for ${mediaKey(item.media_type || fallbackType, item.id)}:`, error);
+            return item;
+        }
+    }));
+}
+
+function createServicesToggle() {
+    if (storage.getMyServices().length === 0) return '';
+    return `<label class="watched-toggle services-toggle"><input type="checkbox" class="services-toggle-input"${state.onlyMyServices ? ' checked' : ''}> ${t('watch.onlyMyServices')}</label>`;
+}
+
+function bindServicesToggle(onChange) {
+    const toggle = document.querySelector('.services-toggle-input');
+    if (!toggle) return;
+    toggle.addEventListener('change', () => {
+        state.onlyMyServices = toggle.checked;
+        storage.saveOnlyMyServices(state.onlyMyServices);
+        onChange();
+    });
+}
+
+function createWatchProviders() {
+    return `<section class="watch-providers"><div class="watch-providers-header"><h2>${t('watch.whereToWatch')}</h2><select class="watch-region-select" aria-label="${t('watch.region')}"><option value="${storage.getWatchRegion()}">${storage.getWatchRegion()}</option></select></div><div class="watch-providers-offers"></div><details class="my-services"><summary>${t('watch.myServices')}</summary><div class="my-services-grid"></div></details></section>`;
+}
+
+async function loadWatchProviders(view, type, id) {
+    const section = view?.querySelector('.watch-providers');
+    if (!section) return;
+    const select = section.querySelector('.watch-region-select');
+    const details = section.querySelector('.my-services');
+
+    const renderOffers = async () => {
+        const offersEl = section.querySelector('.watch-providers-offers');
+        offersEl.innerHTML = '<span class="spinner-inline"></span>';
+        try {
+            const offers = await api.getWatchProviders(type, id, storage.getWatchRegion());
+            const myServices = new Set(storage.getMyServices());
+            const groups = WATCH_OFFER_GROUPS.filter(([key]) => offers[key]?.length > 0).map(([key, label]) => `<div class="watch-offer-group"><span>${t(label)}</span><ul>${offers[key].map(provider => `<li${myServices.has(provider.provider_id) ? ' class="is-mine"' : ''} title="${escapeHTML(provider.provider_name)}"><img src="${api.getPosterUrl(provider.logo_path, 'w92')}" alt="${escapeHTML(provider.provider_name)}" loading="lazy"></li>`).join('')}</ul></div>`).join('');
+            // TMDB's terms require crediting JustWatch as the source of availability data.
+            offersEl.innerHTML = groups
+                ? `${groups}<p class="watch-attribution">${offers.link ? `<a href="${offers.link}" target="_blank" rel="noopener">${t('watch.allOffers')}</a> · ` : ''}${t('watch.attribution')}</p>`
+                : `<p class="watch-providers-empty">${t('watch.unavailable')}</p>`;
+        } catch (error) {
+            console.error('Could not load streaming availability:', error);
+            offersEl.innerHTML = `<p class="watch-providers-empty">${describeError(error, t('watch.loadFailed'))}</p>`;
+        }
+    };
+
+    select.addEventListener('change', () => {
+        storage.saveWatchRegion(select.value);
+        renderOffers();
+        if (details.open) loadMyServicesPicker(section, renderOffers);
+    });
+    details.addEventListener('toggle', () => { if (details.open) loadMyServicesPicker(section, renderOffers); });
+    renderOffers();
+
+    loadRegionOptions(select, storage.getWatchRegion());
+}
+
+// Fills a region select with TMDB's watch regions, named in the UI language. Options already in
+// the select (e.g. a placeholder) are kept ahead of the regions.
+async function loadRegionOptions(select, selected) {
+    if (!select) return;
+    try {
+        const regions = await api.getWatchRegions();
+        const regionNames = new Intl.DisplayNames([getLocale()], { type: 'region' });
+        const named = regions.map(entry => ({ code: entry.iso_3166_1, name: regionNames.of(entry.iso_3166_1) || entry.english_name }))
+            .sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+        if (named.length === 0 || !select.isConnected) return;
+        const leading = [...select.options].filter(option => option.dataset.keep !== undefined).map(option => option.outerHTML).join('');
+        select.innerHTML = leading + named.map(entry => `<option value="${entry.code}"${entry.code === selected ? ' selected' : ''}>${escapeHTML(entry.name)}</option>`).join('');
+    } catch (error) {
+        console.warn('Could not load watch regions:', error);
+    }
+}
+
+// Lists the region's providers as checkboxes; ticking one saves it as a subscribed service.
+async function loadMyServicesPicker(section, onChange) {
+    const grid = section.querySelector('.my-services-grid');
+    const region = storage.getWatchRegion();
+    if (grid.dataset.region === region) return;
+    grid.dataset.region = region;
+    grid.innerHTML = '<span class="spinner-inline"></span>';
+    try {
+        const providers = await api.getRegionProviders(region);
+        const mine = new Set(storage.getMyServices());
+        grid.innerHTML = providers.map(provider => `<label class="my-service"><input type="checkbox" value="${provider.provider_id}"${mine.has(provider.provider_id) ? ' checked' : ''}><img src="${api.getPosterUrl(provider.logo_path, 'w92')}" alt="" loading="lazy"><span>${escapeHTML(provider.provider_name)}</span></label>`).join('');
+    } catch (error) {
+        console.error('Could not load streaming providers:', error);
+        grid.dataset.region = '';
+        grid.innerHTML = `<p class="watch-providers-empty">${describeError(error, t('watch.servicesFailed'))}</p>`;
+        return;
+    }
+    if (grid.dataset.bound) return;
+    grid.dataset.bound = 'true';
+    grid.addEventListener('change', e => {
+        const mine = new Set(storage.getMyServices());
+        const providerId = parseInt(e.target.value, 10);
+        e.target.checked ? mine.add(providerId) : mine.delete(providerId);
+        storage.saveMyServices([...mine]);
+        onChange();
+    });
+}
+
+// ================================================================
+// --- PERSON PAGES: FILMOGRAPHY & DEEP CUTS ---
+// ================================================================
+
+// Caps how many credits are sent to the AI when looking for underrated works.
+const MAX_DEEP_CUT_CANDIDATES = 150;
+const DEEP_CUT_COUNT = 8;
+
+// Groups combined credits by department ('Acting' for cast), merging several roles or jobs on
+// the same title into one entry. The person's main department comes first.
+function groupFilmography({ cast = [], crew = [] }, mainDepartment) {
+    const departments = new Map();
+    const add = (department, credit, role) => {
+        if (!departments.has(department)) departments.set(department, new Map());
+        const entries = departments.get(department);
+        const key = mediaKey(credit.media_type, credit.id);
+        if (entries.has(key)) {
+            if (role && !entries.get(key).roles.includes(role)) entries.get(key).roles.push(role);
+            return;
+        }
+        entries.set(key, {
+            type: credit.media_type,
+            id: credit.id,
+            title: credit.title || credit.name,
+            year: parseInt((credit.release_date || credit.first_air_date || '').split('-')[0], 10) || null,
+            rating: credit.vote_average || 0,
+            votes: credit.vote_count || 0,
+            posterPath: credit.poster_path,
+            roles: role ? [role] : [],
+        });
+    };
+    cast.forEach(credit => add('Acting', credit, credit.character));
+    crew.forEach(credit => add(credit.department, credit, credit.job));
+    return [...departments]
+        .map(([department, entries]) => ({ department, entries: [...entries.values()] }))
+        .sort((a, b) => (b.department === mainDepartment) - (a.department === mainDepartment) || b.entries.length - a.entries.length);
+}
+
+function sortFilmography(entries, sort) {
+    // Titles without a year are usually announced but unreleased, so they lead the year sort.
+    const byYear = (a, b) => (b.year ?? Infinity) - (a.year ?? Infinity);
+    const byRating = (a, b) => b.rating - a.rating || b.votes - a.votes;
+    return [...entries].sort(sort === 'rating' ? byRating : byYear);
+}
+
+function renderFilmography(view, departments) {
+    const container = view.querySelector('.filmography-departments');
+    if (!container) return;
+    if (departments.length === 0) { renderError(t('person.noCredits'), container); return; }
+    container.innerHTML = departments.map(({ department, entries }) => {
+        const rows = sortFilmography(entries, state.filmographySort).map(entry => `<li><span class="filmography-year">${entry.year || '—'}</span><a href="#/${entry.type}/${entry.id}">${escapeHTML(entry.title)}</a><span class="filmography-role">${escapeHTML(entry.roles.join(', '))}</span><span class="filmography-rating">${entry.votes > 0 ? `★ ${formatNumber(entry.rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}` : ''}</span></li>`).join('');
+        return `<section class="filmography-department"><h3>${escapeHTML(department)} <span>${entries.length}</span></h3><ol class="filmography-list">${rows}</ol></section>`;
+    }).join('');
+}
+
+async function loadDeepCuts(view, person, departments) {
+    const container = view.querySelector('.deep-cuts-results');
+    if (!container) return;
+    // One entry per title; titles almost nobody has rated give the AI nothing to judge.
+    const unique = new Map();
+    departments.forEach(({ entries }) => entries.forEach(entry => { if (entry.votes >= 5) unique.set(mediaKey(entry.type, entry.id), entry); }));
+    const candidates = [...unique.values()].sort((a, b) => b.votes - a.votes).slice(0, MAX_DEEP_CUT_CANDIDATES);
+    if (state.isOffline && !state.deepCutsCache.has(person.id)) { renderError(t('offline.aiUnavailable'), container, 'wifi-off'); return; }
+
+    try {
+        if (!state.deepCutsCache.has(person.id)) {
+            const picks = candidates.length > 0
+                ? await gemini.findDeepCuts({ name: person.name, department: person.known_for_department || 'Acting', candidates, numResults: DEEP_CUT_COUNT })
+                : [];
+            state.deepCutsCache.set(person.id, picks);
+        }
+        if (!container.isConnected) return;
+        const cards = state.deepCutsCache.get(person.id).map(pick => {
+            const entry = unique.get(mediaKey(pick.type, pick.id));
+            return createPosterCard({ id: entry.id, media_type: entry.type, title: entry.title, poster_path: entry.posterPath, ai_reason: pick.reason });
+        });
+        if (cards.length === 0) { renderError(t('person.noDeepCuts'), container); return; }
+        container.innerHTML = `<div class="carousel-content">${cards.join('')}</div>`;
+        if (window.lucide) lucide.createIcons();
+    } catch (error) {
+        console.error('Could not load deep cuts:', error);
+        if (container.isConnected) renderError(describeAIError(error), container);
+    }
+}
+
+// ================================================================
+// --- WATCHLIST & TONIGHT'S PICK ---
+// ================================================================
+
+// Caps how many watchlist titles are sent to the AI when picking for tonight.
+const MAX_TONIGHT_CANDIDATES = 150;
+
+function toTraktMediaEntry(item) {
+    const media = item.movie || item.show;
+    if (!media?.ids?.tmdb) return null;
+    return { type: item.show ? 'tv' : 'movie', id: media.ids.tmdb, title: media.title, year: media.year, listedAt: item.listed_at };
+}
+
+async function mapInBatches(items, batchSize, mapper) {
+    const results = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize).map(item => mapper(item).catch(error => { console.warn('Batch item failed:', error); return null; }));
+        results.push(...await Promise.all(batch));
+    }
+    return results;
+}
+
+function getVisibleWatchlistItems() {
+    const { items, sort, type, genre } = state.watchlistView;
+    const year = entry => parseInt((entry.details.release_date || entry.details.first_air_date || '0').split('-')[0], 10) || 0;
+    const sorters = {
+        added: (a, b) => new Date(b.listedAt) - new Date(a.listedAt),
+        year: (a, b) => year(b) - year(a),
+        rating: (a, b) => (b.details.vote_average || 0) - (a.details.vote_average || 0),
+    };
+    return items
+        .filter(entry => type === 'any' || entry.type === type)
+        .filter(entry => !genre || entry.details.genres?.some(g => g.name === genre))
+        .sort(sorters[sort] || sorters.added);
+}
+
+function renderWatchlistGrid() {
+    const grid = document.querySelector('.watchlist-grid');
+    if (!grid) return;
+    const { selected, items } = state.watchlistView;
+    const visible = getVisibleWatchlistItems();
+    if (visible.length === 0) {
+        renderError(items.length === 0 ? t('watchlist.empty') : t('watchlist.noMatches'), grid);
+    } else {
+        grid.innerHTML = visible.map(entry => {
+            const key = mediaKey(entry.type, entry.id);
+            return `<div class="watchlist-item${selected.has(key) ? ' is-selected' : ''}"><label class="watchlist-select" aria-label="${escapeHTML(t('watchlist.select', { title: entry.title }))}"><input type="checkbox" data-key="${key}"${selected.has(key) ? ' checked' : ''}></label>${createPosterCard(entry.details, entry.type)}</div>`;
+        }).join('');
+        if (window.lucide) lucide.createIcons();
+    }
+    updateBulkRemoveButton();
+}
+
+function updateBulkRemoveButton() {
+    const button = document.querySelector('.watchlist-bulk-remove');
+    if (!button) return;
+    const count = state.watchlistView.selected.size;
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? t('watchlist.removeSelectedCount', { count }) : t('watchlist.removeSelected');
+}
+
+function bindWatchlistToolbar() {
+    const toolbar = document.querySelector('.watchlist-toolbar');
+    const grid = document.querySelector('.watchlist-grid');
+    if (!toolbar || !grid) return;
+    toolbar.addEventListener('change', e => {
+        if (!e.target.name) return;
+        state.watchlistView[e.target.name] = e.target.value;
+        renderWatchlistGrid();
+    });
+    grid.addEventListener('change', e => {
+        const key = e.target.dataset?.key;
+        if (!key) return;
+        e.target.checked ? state.watchlistView.selected.add(key) : state.watchlistView.selected.delete(key);
+        e.target.closest('.watchlist-item')?.classList.toggle('is-selected', e.target.checked);
+        updateBulkRemoveButton();
+    });
+    toolbar.querySelector('.watchlist-bulk-remove').addEventListener('click', handleBulkRemove);
+}
+
+async function handleBulkRemove(e) {
+    const button = e.currentTarget;
+    const view = state.watchlistView;
+    const targets = view.items.filter(entry => view.selected.has(mediaKey(entry.type, entry.id)));
+    if (targets.length === 0 || !window.confirm(t('watchlist.removeConfirm', { count: targets.length }))) return;
+    button.disabled = true;
+    button.textContent = t('watchlist.removing');
+    try {
+        await trakt.removeManyFromWatchlist(targets);
+        view.items = view.items.filter(entry => !view.selected.has(mediaKey(entry.type, entry.id)));
+        view.selected = new Set();
+        await fetchTraktWatchlist();
+        renderWatchlistGrid();
+    } catch (error) {
+        console.error('Failed to remove watchlist items:', error);
+        button.textContent = t('watchlist.removeFailed');
+        button.disabled = false;
+    }
+}
+
+function createTonightPicker() {
+    return `<section class="tonight-picker"><h2 class="carousel-title">${t('tonight.title')}</h2><form class="tonight-form search-input-wrapper"><input type="text" class="search-input tonight-mood-input" placeholder="${escapeHTML(t('tonight.placeholder'))}" aria-label="${t('tonight.label')}"></form>${createOfflineNotice()}<div class="tonight-results"></div></section>`;
+}
+
+function bindTonightPicker(root) {
+    const form = root.querySelector('.tonight-form');
+    const resultsEl = root.querySelector('.tonight-results');
+    if (!form || !resultsEl) return;
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        const input = form.querySelector('.tonight-mood-input');
+        const mood = input.value.trim();
+        if (!mood || input.disabled || state.isOffline) return;
+        input.disabled = true;
+        resultsEl.innerHTML = '<div class="loading-container"><div class="spinner"></div></div>';
+        try {
+            const picks = await getTonightPicks(mood);
+            if (picks.length > 0) {
+                resultsEl.innerHTML = createCarousel(t('tonight.picks'), picks);
+                if (window.lucide) lucide.createIcons();
+            } else {
+                renderError(t('tonight.empty'), resultsEl);
+            }
+        } catch (error) {
+            console.error('Tonight pick failed:', error);
+            renderError(describeAIError(error), resultsEl);
+        } finally {
+            input.disabled = state.isOffline;
+        }
+    });
+}
+
+async function getTonightPicks(mood) {
+    if (state.traktWatchlist.length === 0) await fetchTraktWatchlist();
+    const candidates = state.traktWatchlist.map(toTraktMediaEntry).filter(Boolean).slice(0, MAX_TONIGHT_CANDIDATES);
+    if (candidates.length === 0) return [];
+    const picks = await gemini.rankByMood({ mood, candidates });
+    const results = await Promise.all(picks.map(pick => api.getMediaSummary(pick.type, pick.id)
+        .then(details => ({ ...details, ai_reason: pick.reason }))
+        .catch(() => null)));
+    return results.filter(Boolean);
+}
+
+// ================================================================
+// --- TRAKT CUSTOM LISTS ---
+// ================================================================
+
+async function fetchTraktLists({ force = false } = {}) {
+    if (!state.traktLists || force) state.traktLists = await trakt.getUserLists();
+    return state.traktLists;
+}
+
+function createSaveListControl() {
+    if (!state.isTraktAuthenticated) return '';
+    return `<div class="save-list-control"><button type="button" class="trakt-button save-list-button"><i data-lucide="list-plus"></i> ${t('lists.save')}</button><span class="save-list-status" aria-live="polite"></span></div>`;
+}
+
+function bindSaveListControl(session) {
+    const button = document.querySelector('.save-list-button');
+    const status = document.querySelector('.save-list-status');
+    if (!button || !status) return;
+    button.addEventListener('click', async () => {
+        // Save what the user is looking at: the latest turn's visible results.
+        const latest = session.turns[session.turns.length - 1];
+        const results = latest ? visibleResults(latest.results) : [];
+        if (results.length === 0) { status.textContent = t('lists.nothingToSave'); return; }
+        const name = window.prompt(t('lists.namePrompt'), session.query)?.trim();
+        if (!name) return;
+
+        button.disabled = true;
+        status.textContent = t('activity.saving');
+        try {
+            const list = await trakt.createList({ name, description: t('lists.description', { query: session.query }) });
+            await trakt.addToList(list.ids.trakt, results.map(item => ({ id: item.id, type: item.media_type })));
+            state.traktLists = null; // Item counts changed; reload on next use
+            status.innerHTML = t('lists.saved', { count: results.length, list: `<a href="#/list/${list.ids.trakt}">${escapeHTML(list.name)}</a>` });
+        } catch (error) {
+            console.error('Failed to save Trakt list:', error);
+            status.textContent = describeError(error, t('lists.saveFailed'));
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+function createListPicker() {
+    if (!state.isTraktAuthenticated) return '';
+    return `<div class="list-picker"><label><span>${t('lists.addToList')}</span><select class="list-picker-select" disabled><option value="">${t('lists.loading')}</option></select></label><span class="list-picker-status" aria-live="polite"></span></div>`;
+}
+
+async function loadListPicker(view) {
+    const select = view?.querySelector('.list-picker-select');
+    if (!select) return;
+    const status = view.querySelector('.list-picker-status');
+    try {
+        const lists = await fetchTraktLists();
+        if (!select.isConnected) return;
+        select.innerHTML = `<option value="">${lists.length > 0 ? t('lists.choose') : t('lists.noLists')}</option>${lists.map(list => `<option value="${list.ids.trakt}">${escapeHTML(list.name)}</option>`).join('')}`;
+        select.disabled = lists.length === 0;
+    } catch (error) {
+        console.error('Could not load Trakt lists:', error);
+        select.innerHTML = `<option value="">${t('lists.unavailable')}</option>`;
+        return;
+    }
+
+    select.addEventListener('change', async () => {
+        const listId = select.value;
+        if (!listId) return;
+        const listName = select.selectedOptions[0].textContent;
+        select.disabled = true;
+        status.textContent = t('lists.adding');
+        try {
+            await trakt.addToList(listId, [getDetailMediaItem(view)]);
+            state.traktLists = null;
+            status.innerHTML = t('lists.added', { list: `<a href="#/list/${listId}">${escapeHTML(listName)}</a>` });
+        } catch (error) {
+            console.error('Failed to add to Trakt list:', error);
+            status.textContent = describeError(error, t('lists.addFailed'));
+        } finally {
+            select.value = '';
+            select.disabled = false;
+        }
+    });
+}
+
+// ================================================================
+// --- TRAKT ACTIVITY (WATCHED & RATINGS) ---
+// ================================================================
+
+// Trakt only takes check-ins for movies and single episodes, so shows get no check-in button.
+function createTraktActivity(type) {
+    const checkIn = type === 'movie' ? `<button class="trakt-button checkin-button" aria-pressed="false"><i data-lucide="radio"></i> <span>${t('activity.checkIn')}</span></button>` : '';
+    const stars = Array.from({ length: 10 }, (_, i) => `<button class="rating-star" data-rating="${i + 1}" aria-label="${t('activity.rateStar', { rating: i + 1 })}"><i data-lucide="star"></i></button>`).join('');
+    return `<div class="trakt-activity"><button class="trakt-button watched-button"><i data-lucide="eye"></i> ${t('activity.markWatched')}</button>${checkIn}<div class="rating-control" role="group" aria-label="${t('activity.yourRatingLabel')}">${stars}<button class="rating-clear nav-link" hidden>${t('activity.clear')}</button></div><p class="trakt-activity-summary" aria-live="polite"></p><p class="trakt-activity-status" aria-live="polite"></p></div>`;
+}
+
+function getDetailMediaItem(view) {
+    const { mediaId, mediaType, mediaTitle, mediaYear } = view.dataset;
+    return { id: parseInt(mediaId), type: mediaType, title: mediaTitle, year: parseInt(mediaYear) };
+}
+
+async function loadTraktActivity(view) {
+    if (!view || !state.isTraktAuthenticated) return;
+    const item = getDetailMediaItem(view);
+    const key = mediaKey(item.type, item.id);
+    state.detailActivity = { key, plays: 0, rating: null, checkedIn: false, undo: null };
+    try {
+        const [history, rating, watching] = await Promise.all([
+            trakt.getWatchedHistory(),
+            trakt.getUserRating(item.type, item.id),
+            item.type === 'movie' ? trakt.getWatching() : null,
+        ]);
+        if (state.detailActivity?.key !== key) return;
+        state.detailActivity.plays = history[item.type === 'tv' ? 'shows' : 'movies'][item.id] || 0;
+        state.detailActivity.rating = rating;
+        state.detailActivity.checkedIn = watching?.movie?.ids?.tmdb === item.id;
+        renderTraktActivity(view);
+    } catch (error) {
+        console.error('Could not load Trakt activity:', error);
+    }
+}
+
+function renderTraktActivity(view, statusHtml = '') {
+    const activity = state.detailActivity;
+    if (!view?.isConnected || !activity) return;
+    const { plays, rating, checkedIn } = activity;
+    view.querySelector('.trakt-activity-summary').textContent = `${plays > 0 ? t('activity.watchedTimes', { count: plays }) : t('activity.notWatched')} • ${rating ? t('activity.yourRating', { rating }) : t('activity.notRated')}`;
+    view.querySelectorAll('.rating-star').forEach(star => {
+        const value = parseInt(star.dataset.rating);
+        star.classList.toggle('is-filled', !!rating && value <= rating);
+        star.setAttribute('aria-pressed', String(value === rating));
+    });
+    view.querySelector('.rating-clear').hidden = !rating;
+    const checkInButton = view.querySelector('.checkin-button');
+    if (checkInButton) {
+        checkInButton.setAttribute('aria-pressed', String(checkedIn));
+        checkInButton.querySelector('span').textContent = checkedIn ? t('activity.cancelCheckIn') : t('activity.checkIn');
+    }
+    view.querySelector('.trakt-activity-status').innerHTML = statusHtml;
+}
+
+// Applies a change to the UI immediately, sends it to Trakt, and rolls back if the request fails.
+// On success, offers an "Undo" that runs `undo(result)` as its own optimistic action.
+async function runOptimisticTraktAction(view, { apply, rollback, request, message, undo = null, failureMessage = t('activity.updateFailed') }) {
+    const activity = state.detailActivity;
+    activity.undo = null;
+    apply(activity);
+    renderTraktActivity(view, `<span class="spinner-inline"></span> ${t('activity.saving')}`);
+    try {
+        const result = await request();
+        if (state.detailActivity !== activity) return;
+        activity.undo = undo ? () => undo(result) : null;
+        renderTraktActivity(view, `${message}${undo ? ` <button class="nav-link trakt-undo-button">${t('activity.undo')}</button>` : ''}`);
+    } catch (error) {
+        console.error('Trakt update failed, rolling back:', error);
+        if (state.detailActivity !== activity) return;
+        rollback(activity);
+        renderTraktActivity(view, `${describeError(error, failureMessage)} ${t('activity.reverted')}`);
+    }
+}
+
+function markAsWatched(view, item) {
+    const key = mediaKey(item.type, item.id);
+    const wasWatched = state.watchedIds.has(key);
+    runOptimisticTraktAction(view, {
+        apply: activity => { activity.plays += 1; state.watchedIds.add(key); },
+        rollback: activity => { activity.plays -= 1; if (!wasWatched) state.watchedIds.delete(key); },
+        request: () => trakt.addToHistory(item),
+        message: t('activity.markedWatched'),
+        undo: watchedAt => runOptimisticTraktAction(view, {
+            apply: activity => { activity.plays -= 1; if (activity.plays <= 0) state.watchedIds.delete(key); },
+            rollback: activity => { activity.plays += 1; state.watchedIds.add(key); },
+            request: () => trakt.removeHistoryPlay(item, watchedAt),
+            message: t('activity.playRemoved'),
+        }),
+    });
+}
+
+function setRating(view, item, rating, { undoable = true } = {}) {
+    const previous = state.detailActivity.rating;
+    if (rating === previous) return;
+    runOptimisticTraktAction(view, {
+        apply: activity => { activity.rating = rating; },
+        rollback: activity => { activity.rating = previous; },
+        request: () => rating ? trakt.addRating(item, rating) : trakt.removeRating(item),
+        message: rating ? t('activity.rated', { rating }) : t('activity.ratingRemoved'),
+        undo: undoable ? () => setRating(view, item, previous, { undoable: false }) : null,
+    });
+}
+
+// Check-ins are undone by cancelling them, so this toggles rather than offering an "Undo".
+function toggleCheckIn(view, item) {
+    const wasCheckedIn = state.detailActivity.checkedIn;
+    runOptimisticTraktAction(view, {
+        apply: activity => { activity.checkedIn = !wasCheckedIn; },
+        rollback: activity => { activity.checkedIn = wasCheckedIn; },
+        request: () => wasCheckedIn ? trakt.cancelCheckIn() : trakt.checkIn(item),
+        message: wasCheckedIn ? t('activity.checkInCancelled') : t('activity.checkedIn'),
+        failureMessage: wasCheckedIn ? t('activity.updateFailed') : t('activity.checkInFailed'),
+    });
+}
+
+function handleTraktActivityClick(e) {
+    const control = e.target.closest('.watched-button, .checkin-button, .rating-star, .rating-clear, .trakt-undo-button');
+    const view = e.target.closest('.detail-view');
+    if (!control || !view) return;
+    if (!state.isTraktAuthenticated) { trakt.redirectToTraktAuth(); return; }
+    if (!state.detailActivity) return;
+    const item = getDetailMediaItem(view);
+    if (control.matches('.watched-button')) markAsWatched(view, item);
+    else if (control.matches('.checkin-button')) toggleCheckIn(view, item);
+    else if (control.matches('.rating-star')) setRating(view, item, parseInt(control.dataset.rating));
+    else if (control.matches('.rating-clear')) setRating(view, item, null);
+    else if (state.detailActivity.undo) state.detailActivity.undo();
+}
+
+// ================================================================
+// --- STATS DASHBOARD ---
+// ================================================================
+
+const TOP_GENRES_SHOWN = 6;
+const TOP_PEOPLE_SHOWN = 10;
+
+function createStatsDashboard() {
+    const option = (value, label) => `<option value="${value}"${state.statsRange === value ? ' selected' : ''}>${label}</option>`;
+    return `<section class="stats-dashboard"><form class="stats-toolbar search-filters" aria-label="${t('stats.range')}"><label>${t('stats.range')}<select name="range">${option('year', t('stats.rangeYear'))}${option('all', t('stats.rangeAll'))}</select></label><button type="button" class="trakt-button stats-refresh"><i data-lucide="refresh-cw"></i> ${t('stats.refresh')}</button></form><div class="stats-charts"><div class="loading-container"><div class="spinner"></div></div></div></section>`;
+}
+
+function bindStatsDashboard(view) {
+    view.querySelector('.stats-toolbar select').addEventListener('change', e => {
+        state.statsRange = e.target.value;
+        renderStatsCharts(view);
+    });
+    view.querySelector('.stats-refresh').addEventListener('click', () => loadStatsDashboard(view, { forceRefresh: true }));
+}
+
+// The play history and the per-title TMDB facts (shared with the taste profile) are both cached,
+// so a revisit only pulls what is new; switching the range just redraws.
+async function loadStatsDashboard(view, { forceRefresh = false } = {}) {
+    const chartsEl = view.querySelector('.stats-charts');
+    const refreshButton = view.querySelector('.stats-refresh');
+    refreshButton.disabled = true;
+    chartsEl.innerHTML = '<div class="loading-container"><div class="spinner"></div></div>';
+    try {
+        const [history, genreNames] = await Promise.all([trakt.getStatsHistory({ forceRefresh }), api.getGenreNames()]);
+        const titles = await loadHistoryTitleFacts(history);
+        state.statsData = { history, titles, genreNames };
+        if (chartsEl.isConnected) renderStatsCharts(view);
+    } catch (error) {
+        console.error('Could not load the stats dashboard:', error);
+        if (chartsEl.isConnected) renderApiError(error, chartsEl, t('stats.loadError'));
+    } finally {
+        refreshButton.disabled = false;
+    }
+}
+
+// Counts distinct titles rather than plays, so a show counts once however many episodes were watched.
+function computeStats({ history, titles, genreNames }, range) {
+    const now = new Date();
+    const since = range === 'year' ? new Date(now.getFullYear(), 0, 1).getTime() : 0;
+    const plays = history.plays.filter(play => play.at >= since);
+    const ratings = history.ratings.filter(rating => rating.at >= since);
+    const titleKeys = [...new Set(plays.map(play => mediaKey(play.type, play.id)))];
+    const known = titleKeys.map(key => titles[key]).filter(Boolean);
+
+    // Genres over time: by month this year, by year across all time.
+    const bucketOf = range === 'year' ? at => new Date(at).getMonth() : at => new Date(at).getFullYear();
+    const buckets = new Map();
+    plays.forEach(play => {
+        const bucket = bucketOf(play.at);
+        if (!buckets.has(bucket)) buckets.set(bucket, new Set());
+        buckets.get(bucket).add(mediaKey(play.type, play.id));
+    });
+    const firstBucket = range === 'year' ? 0 : Math.min(now.getFullYear(), ...buckets.keys());
+    const lastBucket = range === 'year' ? now.getMonth() : now.getFullYear();
+    const topGenres = topCounts(countBy(known.flatMap(title => title.genres)), TOP_GENRES_SHOWN).map(([id]) => id);
+    const genreColumns = [];
+    for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+        const inBucket = [...(buckets.get(bucket) || [])].map(key => titles[key]).filter(Boolean);
+        genreColumns.push({
+            label: range === 'year' ? formatDate(new Date(now.getFullYear(), bucket, 1), { month: 'short' }) : String(bucket),
+            values: topGenres.map(id => inBucket.filter(title => title.genres.includes(id)).length),
+        });
+    }
+
+    // People: each title counts once per person, even if they are credited twice.
+    const topPeople = role => {
+        const names = new Map();
+        const ids = known.flatMap(title => [...new Set(title[role].map(member => { names.set(member.id, member.name); return member.id; }))]);
+        return topCounts(countBy(ids), TOP_PEOPLE_SHOWN).map(([id, count]) => ({ id, name: names.get(id), count }));
+    };
+
+    return {
+        playCount: plays.length,
+        titleCount: titleKeys.length,
+        ratingCount: ratings.length,
+        sampled: rankByPlays(history.plays).length > MAX_WATCHED_TITLES,
+        genres: { series: topGenres.map(id => genreNames.get(id) || String(id)), columns: genreColumns },
+        activity: {
+            start: range === 'year' ? new Date(now.getFullYear(), 0, 1) : new Date(now.getFullYear() - 1, now.getMonth(), now.getDate() + 1),
+            end: now,
+            counts: countBy(plays.map(play => toDateKey(new Date(play.at)))),
+        },
+        actors: topPeople('cast'),
+        directors: topPeople('directors'),
+        ratings: Array.from({ length: 10 }, (_, i) => ratings.filter(rating => rating.rating === i + 1).length),
+        decades: [...countBy(known.filter(title => title.year).map(title => Math.floor(title.year / 10) * 10))].sort((a, b) => a[0] - b[0]),
+    };
+}
+
+function renderStatsCharts(view) {
+    const chartsEl = view.querySelector('.stats-charts');
+    if (!chartsEl || !state.statsData) return;
+    const stats = computeStats(state.statsData, state.statsRange);
+    if (stats.playCount === 0 && stats.ratingCount === 0) { renderError(t('stats.noActivity'), chartsEl, 'history'); return; }
+
+    const card = (title, body, { wide = false } = {}) => `<section class="stats-chart-card${wide ? ' wide' : ''}"><h2>${title}</h2>${body}</section>`;
+    const noData = `<p class="stats-chart-empty">${t('stats.notEnoughData')}</p>`;
+    const peopleChart = (people, title) => people.length > 0
+        ? createBarChart({ bars: people.map(person => ({ label: person.name, value: person.count, href: `#/person/${person.id}`, title: `${person.name}: ${t('lists.titleCount', { count: person.count })}` })), ariaLabel: title, orientation: 'horizontal', formatValue: formatNumber })
+        : noData;
+
+    const charts = [
+        card(state.statsRange === 'year' ? t('stats.activity') : t('stats.activityLastYear'), createHeatmap({
+            ...stats.activity,
+            ariaLabel: t('stats.activity'),
+            formatTitle: (day, count) => t('stats.playsOnDay', { count, date: formatDate(day, { dateStyle: 'medium' }) }),
+            formatMonth: day => formatDate(day, { month: 'short' }),
+        }), { wide: true }),
+        card(t('stats.genresOverTime'), stats.genres.series.length > 0
+            ? `${createStackedBarChart({ ...stats.genres, ariaLabel: t('stats.genresOverTime') })}${createChartLegend(stats.genres.series)}`
+            : noData, { wide: true }),
+        card(t('stats.topActors'), peopleChart(stats.actors, t('stats.topActors'))),
+        card(t('stats.topDirectors'), peopleChart(stats.directors, t('stats.topDirectors'))),
+        card(t('stats.ratings'), stats.ratingCount > 0
+            ? createBarChart({ bars: stats.ratings.map((count, i) => ({ label: String(i + 1), value: count, title: t('stats.ratedCount', { count, rating: String(i + 1) }) })), ariaLabel: t('stats.ratings'), formatValue: formatNumber })
+            : noData),
+        card(t('stats.decades'), stats.decades.length > 0
+            ? createBarChart({ bars: stats.decades.map(([decade, count]) => ({ label: t('stats.decade', { decade: String(decade) }), value: count, title: `${t('stats.decade', { decade: String(decade) })}: ${t('lists.titleCount', { count })}` })), ariaLabel: t('stats.decades'), formatValue: formatNumber })
+            : noData),
+    ];
+    const notes = [t('stats.updated', { date: formatDate(state.statsData.history.fetchedAt, { dateStyle: 'medium', timeStyle: 'short' }) }), t('stats.countedInTitles')];
+    if (stats.sampled) notes.push(t('stats.sampled', { count: MAX_WATCHED_TITLES }));
+
+    chartsEl.innerHTML = `<p class="stats-summary">${t('stats.playCount', { count: stats.playCount })} · ${t('lists.titleCount', { count: stats.titleCount })} · ${t('stats.ratingCount', { count: stats.ratingCount })}</p><div class="stats-charts-grid">${charts.join('')}</div>${notes.map(note => `<p class="stats-as-of">${note}</p>`).join('')}`;
+}
+
+// ================================================================
+// --- CONVERSATIONAL SEARCH ---
+// ================================================================
+
+async function runSearchTurn(session, query) {
+    const index = session.turns.length;
+    const resultsContainer = appendConversationTurn(query, index);
+    if (state.isOffline) { renderError(t('offline.aiUnavailable'), resultsContainer, 'wifi-off'); return; }
+    resultsContainer.innerHTML = '<div class="loading-container"><div class="spinner"></div></div>';
+    const refineInput = document.querySelector('.refine-input');
+    if (refineInput) refineInput.disabled = true;
+
+    session.inFlight = (async () => {
+        // Matches resolve in whatever order TMDB answers, so each result keeps the rank the AI gave it.
+        // Two AI answers can resolve to the same TMDB title; as in parseAndFetchGeminiResults the more
+        // confident one wins (the higher-ranked one on a tie) and its card replaces the other's.
+        const ranked = new Map();
+        const addResult = (item, rank) => {
+            const key = mediaKey(item.media_type, item.id);
+            const existing = ranked.get(key);
+            if (existing && !isBetterMatch({ item, rank }, existing)) return;
+            ranked.set(key, { item, rank });
+            if (!resultsContainer.isConnected) return;
+            if (existing) removeResultCard(resultsContainer, existing.rank);
+            appendResultCard(resultsContainer, item, index, rank);
+        };
+        const rankedResults = () => [...ranked.values()].sort((a, b) => a.rank - b.rank).map(({ item }) => item);
+        const resolve = async recs => annotateAvailability(await enforceSearchFilters((await Promise.all(recs.map(matchRecommendation))).filter(Boolean), session.filters));
+
+        try {
+            // Each recommendation is matched and shown as soon as the stream completes it.
+            const matching = [];
+            const recommendations = await session.conversation.askStream(query, recommendation => {
+                const rank = matching.length;
+                matching.push(resolve([recommendation]).then(matches => matches.forEach(item => addResult(item, rank))));
+            });
+            await Promise.all(matching);
+            const requestMore = (numResults, exclude) => session.conversation.backfill(numResults, exclude);
+            (await backfillWatched(rankedResults(), recommendations, resolve, requestMore)).forEach((item, i) => addResult(item, matching.length + i));
+            const results = rankedResults();
+
+            session.turns.push({ query, results });
+            recordSearchHistory(session);
+            // Cards are already on screen; only the empty and all-watched states still need rendering.
+            if (resultsContainer.isConnected && !resultsContainer.querySelector('.carousel-content')) renderTurnResults(resultsContainer, results, index);
+        } catch (error) {
+            console.error('AI search failed:', error);
+            if (resultsContainer.isConnected) renderError(describeAIError(error), resultsContainer);
+        }
+    })();
+    await session.inFlight;
+    session.inFlight = null;
+
+    const currentInput = document.querySelector('.refine-input');
+    if (currentInput && !state.isOffline) { currentInput.disabled = false; currentInput.focus(); }
+}
+
+function appendConversationTurn(query, index, { scroll = true } = {}) {
+    const conversationEl = document.querySelector('.search-conversation');
+    const turnEl = document.createElement('section');
+    turnEl.className = 'conversation-turn';
+    // The opening query is already the page heading, so only follow-ups get a speech bubble.
+    turnEl.innerHTML = `${index > 0 ? `<p class="conversation-query">${escapeHTML(query)}</p>` : ''}<div class="search-results-container"></div>`;
+    conversationEl.appendChild(turnEl);
+    if (scroll && index > 0) turnEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return turnEl.querySelector('.search-results-container');
+}
+
+function renderConversation(session) {
+    const conversationEl = document.querySelector('.search-conversation');
+    if (!conversationEl) return;
+    conversationEl.innerHTML = '';
+    session.turns.forEach((turn, i) => renderTurnResults(appendConversationTurn(turn.query, i, { scroll: false }), turn.results, i));
+}
+
+// Inserts a card before the first card the AI ranked lower, so the carousel stays in ranking order.
+function appendResultCard(container, item, index, rank) {
+    if (isHidden(item)) return;
+    let carouselContent = container.querySelector('.carousel-content');
+    if (!carouselContent) {
+        container.innerHTML = createCarousel(index === 0 ? t('search.aiRecommendations') : t('search.refinedRecommendations'), []);
+        carouselContent = container.querySelector('.carousel-content');
+    }
+    const next = [...carouselContent.children].find(card => Number(card.dataset.rank) > rank);
+    if (next) next.insertAdjacentHTML('beforebegin', createPosterCard(item));
+    else carouselContent.insertAdjacentHTML('beforeend', createPosterCard(item));
+    (next ? next.previousElementSibling : carouselContent.lastElementChild).dataset.rank = rank;
+    if (window.lucide) lucide.createIcons();
+}
+
+function removeResultCard(container, rank) {
+    container.querySelector(`.carousel-content > [data-rank="${rank}"]`)?.remove();
+}
+
+function isBetterMatch(candidate, current) {
+    if (candidate.item.match_confidence !== current.item.match_confidence) return candidate.item.match_confidence > current.item.match_confidence;
+    return candidate.rank < current.rank;
+}
+
+function renderTurnResults(container, results, index) {
+    const visible = visibleResults(results);
+    if (visible.length > 0) {
+        container.innerHTML = createCarousel(index === 0 ? t('search.aiRecommendations') : t('search.refinedRecommendations'), visible);
+        if (window.lucide) lucide.createIcons();
+    } else if (results.length > 0) {
+        const message = results.some(item => !isAvailable(item) && !isWatched(item))
+            ? t('search.noneOnServices')
+            : t('search.allWatched');
+        renderError(message, container);
+    } else {
+        const message = hasActiveFilters(state.searchSession?.filters)
+            ? t('search.noneMatchFilters')
+            : t('search.noneMatched');
+        renderError(message, container);
+    }
+}
+
+function createWatchedToggle() {
+    if (!state.isTraktAuthenticated) return '';
+    return `<label class="watched-toggle"><input type="checkbox" class="watched-toggle-input"${state.showWatched ? ' checked' : ''}> ${t('search.showWatched')}</label>`;
+}
+
+function bindWatchedToggle(session) {
+    const toggle = document.querySelector('.watched-toggle-input');
+    if (!toggle) return;
+    toggle.addEventListener('change', () => {
+        state.showWatched = toggle.checked;
+        storage.saveShowWatched(state.showWatched);
+        renderConversation(session);
+    });
+}
+
+function bindRefineForm(session) {
+    const form = document.querySelector('.refine-form');
+    if (!form) return;
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const input = form.querySelector('.refine-input');
+        const followUp = input.value.trim();
+        if (!followUp || session.inFlight) return;
+        input.value = '';
+        runSearchTurn(session, followUp);
+    });
+}
+
+// ================================================================
+// --- SEARCH HISTORY & SAVED SEARCHES ---
+// ================================================================
+
+// How many recent searches the home view lists.
+const RECENT_SEARCHES_SHOWN = 6;
+
+// Keeps just what a poster card and the filters need, so snapshots stay small in localStorage.
+function toSnapshotItem(item) {
+    const { id, media_type, title, name, poster_path, release_date, first_air_date, vote_average, original_language, ai_reason } = item;
+    return { id, media_type, title, name, poster_path, release_date, first_air_date, vote_average, original_language, ai_reason };
+}
+
+function recordSearchHistory(session) {
+    storage.saveSearchToHistory({
+        key: session.key,
+        query: session.query,
+        turns: session.turns.map(turn => ({ query: turn.query, results: turn.results.map(toSnapshotItem) })),
+    });
+}
+
+// Starts the saved search over with a fresh AI call, even if its conversation is still in memory.
+function rerunSearch(key) {
+    state.searchSession = null;
+    const hash = `#/search/${key}`;
+    if (window.location.hash === hash) router();
+    else window.location.hash = hash;
+}
+
+function createPinnedChips() {
+    return storage.getSearchHistory().filter(entry => entry.pinned)
+        .map(entry => `<button class="chip chip-pinned" data-search-key="${escapeHTML(entry.key)}"><i data-lucide="pin"></i> ${escapeHTML(entry.query)}</button>`).join('');
+}
+
+function createSearchHistory() {
+    const history = storage.getSearchHistory().slice(0, RECENT_SEARCHES_SHOWN);
+    if (history.length === 0) return '';
+    const items = history.map(entry => {
+        const count = entry.turns[entry.turns.length - 1]?.results.length || 0;
+        return `<li class="search-history-item" data-id="${entry.id}"><a class="search-history-query" href="#/history/${entry.id}" title="${t('history.savedResults')}">${escapeHTML(entry.query)}</a><span class="search-history-meta">${formatDate(entry.searchedAt, { dateStyle: 'medium', timeStyle: 'short' })} · ${t('lists.titleCount', { count })}</span><span class="search-history-actions"><button class="icon-button" data-action="rerun" data-search-key="${escapeHTML(entry.key)}" aria-label="${t('history.rerun')}" title="${t('history.rerun')}"><i data-lucide="refresh-cw"></i></button><button class="icon-button${entry.pinned ? ' is-active' : ''}" data-action="pin" aria-pressed="${entry.pinned}" aria-label="${entry.pinned ? t('history.unpin') : t('history.pin')}" title="${entry.pinned ? t('history.unpin') : t('history.pin')}"><i data-lucide="${entry.pinned ? 'pin-off' : 'pin'}"></i></button><button class="icon-button" data-action="remove" aria-label="${t('history.remove')}" title="${t('history.remove')}"><i data-lucide="x"></i></button></span></li>`;
+    }).join('');
+    return `<section class="search-history"><div class="search-history-header"><h2>${t('history.recent')}</h2><button class="nav-link" data-action="clear">${t('history.clear')}</button></div><ul>${items}</ul></section>`;
+}
+
+function refreshSavedSearches(root) {
+    root.querySelector('.pinned-chips').innerHTML = createPinnedChips();
+    root.querySelector('.search-history-container').innerHTML = createSearchHistory();
+    if (window.lucide) lucide.createIcons();
+}
+
+function bindSavedSearches(root) {
+    const container = root.querySelector('.ai-prompt-container');
+    if (!container) return;
+    container.addEventListener('click', e => {
+        const control = e.target.closest('[data-search-key], [data-action]');
+        if (!control) return;
+        const id = control.closest('.search-history-item')?.dataset.id;
+        switch (control.dataset.action) {
+            case 'pin': storage.setSearchPinned(id, control.getAttribute('aria-pressed') !== 'true'); break;
+            case 'remove': storage.removeSearchFromHistory(id); break;
+            case 'clear': if (window.confirm(t('history.clearConfirm'))) storage.clearSearchHistory(); break;
+            default: rerunSearch(control.dataset.searchKey); return;
+        }
+        refreshSavedSearches(root);
+    });
+}
+
+// ================================================================
+// --- OFFLINE MODE ---
+// ================================================================
+
+// Inputs that need the AI; each one's normal placeholder is kept in data-online-placeholder.
+const AI_INPUT_SELECTOR = '#main-search-input, .refine-input, .tonight-mood-input';
+
+function initConnectivity() {
+    state.isOffline = navigator.onLine === false;
+    window.addEventListener('online', () => setOffline(false));
+    window.addEventListener('offline', () => setOffline(true));
+    updateConnectivityUI();
+}
+
+function setOffline(isOffline) {
+    if (state.isOffline === isOffline) return;
+    state.isOffline = isOffline;
+    updateConnectivityUI();
+    // A search opened while offline only showed its saved snapshot, so run it for real now.
+    if (!isOffline && state.currentRoute === '/search' && !state.searchSession?.turns.length) router();
+}
+
+// Shows the header badge and disables the AI inputs (and the chips that start a new AI search).
+function updateConnectivityUI() {
+    document.body.classList.toggle('is-offline', state.isOffline);
+    if (dom.offlineIndicator) dom.offlineIndicator.hidden = !state.isOffline;
+    document.querySelectorAll(AI_INPUT_SELECTOR).forEach(input => {
+        input.dataset.onlinePlaceholder ??= input.placeholder;
+        input.placeholder = state.isOffline ? t('offline.placeholder') : input.dataset.onlinePlaceholder;
+        // A refinement still in flight keeps its input locked until it finishes.
+        input.disabled = state.isOffline || (input.classList.contains('refine-input') && !!state.searchSession?.inFlight);
+    });
+    document.querySelectorAll('.chip[data-query]').forEach(chip => { chip.disabled = state.isOffline; });
+}
+
+// Offline, a search can only show the results saved the last time it ran.
+function renderOfflineSearch(key) {
+    const entry = storage.getSearchHistory().find(candidate => candidate.key === key);
+    if (entry) viewHandlers.renderSavedSearchView({ param: entry.id });
+    else renderError(t('offline.noSavedResults'), dom.root, 'wifi-off');
+}
+
+// ================================================================
+// --- APP UPDATES (SERVICE WORKER) ---
+// ================================================================
+
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.register('/service-worker.js');
+        // A worker that finished installing during an earlier visit is still waiting.
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update.
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+            });
+        });
+        // Long-lived tabs look for a new deploy whenever they come back into view.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') registration.update().catch(() => {});
+        });
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
+}
+
+function showUpdateBanner(worker) {
+    document.querySelector('.update-banner')?.remove();
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `<span>${t('update.available')}</span><button type="button" class="trakt-button update-reload"><i data-lucide="refresh-cw"></i> ${t('update.reload')}</button><button type="button" class="nav-link update-dismiss">${t('update.dismiss')}</button>`;
+    document.body.appendChild(banner);
+    if (window.lucide) lucide.createIcons();
+    banner.querySelector('.update-dismiss').addEventListener('click', () => banner.remove());
+    banner.querySelector('.update-reload').addEventListener('click', e => {
+        e.currentTarget.disabled = true;
+        activateUpdate(worker);
+    });
+}
+
+// Asks the waiting worker to take over through a MessageChannel, then reloads once it controls the page.
+function activateUpdate(worker) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => resolve(event.data);
+        worker.postMessage({ type: 'SKIP_WAITING' }, [channel.port2]);
+    });
+}
+
+// ================================================================
+// --- SEARCH FILTERS ---
+// ================================================================
+
+// Original-language options offered by the filter bar (ISO 639-1).
+const FILTER_LANGUAGES = ['en', 'fr', 'es', 'de', 'it', 'ja', 'ko', 'zh', 'hi', 'sv', 'da', 'no', 'pt', 'ru', 'tr'];
+
+// Filters are encoded after the query in the hash: #/search/<query>?type=tv&from=1980&to=1989&runtime=120&lang=ja&rating=7
+function parseSearchParam(param = '') {
+    const [rawQuery, rawFilters = ''] = param.split('?');
+    const params = new URLSearchParams(rawFilters);
+    const toNumber = key => { const value = parseFloat(params.get(key)); return Number.isFinite(value) && value > 0 ? value : null; };
+    const type = params.get('type');
+    const language = params.get('lang');
+    return {
+        query: decodeURIComponent(rawQuery),
+        filters: {
+            type: type === 'movie' || type === 'tv' ? type : 'any',
+            yearFrom: toNumber('from'),
+            yearTo: toNumber('to'),
+            maxRuntime: toNumber('runtime'),
+            language: /^[a-z]{2}$/.test(language || '') ? language : null,
+            minRating: toNumber('rating'),
+        },
+    };
+}
+
+function buildSearchHash(query, filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.type && filters.type !== 'any') params.set('type', filters.type);
+    if (filters.yearFrom) params.set('from', filters.yearFrom);
+    if (filters.yearTo) params.set('to', filters.yearTo);
+    if (filters.maxRuntime) params.set('runtime', filters.maxRuntime);
+    if (filters.language) params.set('lang', filters.language);
+    if (filters.minRating) params.set('rating', filters.minRating);
+    const queryString = params.toString();
+    return `#/search/${encodeURIComponent(query)}${queryString ? `?${queryString}` : ''}`;
+}
+
+function hasActiveFilters(filters) {
+    return !!filters && (filters.type !== 'any' || ['yearFrom', 'yearTo', 'maxRuntime', 'language', 'minRating'].some(key => filters[key]));
+}
+
+function matchesSearchFilters(item, filters) {
+    const year = parseInt((item.release_date || item.first_air_date || '').split('-')[0], 10);
+    if (filters.type !== 'any' && item.media_type !== filters.type) return false;
+    if (filters.yearFrom && !(year >= filters.yearFrom)) return false;
+    if (filters.yearTo && !(year <= filters.yearTo)) return false;
+    if (filters.language && item.original_language !== filters.language) return false;
+    if (filters.minRating && !(item.vote_average >= filters.minRating)) return false;
+    return true;
+}
+
+// Re-checks the AI's picks against the filters using TMDB data, dropping anything that breaks them.
+async function enforceSearchFilters(results, filters) {
+    const filtered = results.filter(item => matchesSearchFilters(item, filters));
+    if (!filters.maxRuntime) return filtered;
+    // Search results carry no runtime, so fetch details only when a runtime ceiling is set.
+    const checks = await Promise.all(filtered.map(async item => {
+        try {
+            const details = await api.getMediaDetails(item.media_type, item.id);
+            const runtime = details.runtime || details.episode_run_time?.[0];
+            return !runtime || runtime <= filters.maxRuntime;
+        } catch (error) {
+            return true; // Unknown runtime: give the AI the benefit of the doubt
+        }
+    }));
+    return filtered.filter((item, i) => checks[i]);
+}
+
+function createSearchFilters(query, filters) {
+    const option = (value, label, current) => `<option value="${value}"${String(current ?? '') === String(value) ? ' selected' : ''}>${label}</option>`;
+    const languageNames = new Intl.DisplayNames([getLocale()], { type: 'language' });
+    const maxYear = new Date().getFullYear() + 1;
+    return `<form class="search-filters" aria-label="${t('filters.label')}">
+        <label>${t('filters.type')}<select name="type">${option('any', t('filters.anyType'), filters.type)}${option('movie', t('filters.movies'), filters.type)}${option('tv', t('filters.tv'), filters.type)}</select></label>
+        <label>${t('filters.from')}<input type="number" name="yearFrom" min="1870" max="${maxYear}" placeholder="${t('filters.yearPlaceholder')}" value="${filters.yearFrom ?? ''}"></label>
+        <label>${t('filters.to')}<input type="number" name="yearTo" min="1870" max="${maxYear}" placeholder="${t('filters.yearPlaceholder')}" value="${filters.yearTo ?? ''}"></label>
+        <label>${t('filters.maxRuntime')}<input type="number" name="maxRuntime" min="1" step="5" placeholder="${t('filters.minutesPlaceholder')}" value="${filters.maxRuntime ?? ''}"></label>
+        <label>${t('filters.language')}<select name="language">${option('', t('filters.any'), filters.language)}${FILTER_LANGUAGES.map(code => option(code, languageNames.of(code), filters.language)).join('')}</select></label>
+        <label>${t('filters.minRating')}<select name="minRating">${option('', t('filters.any'), filters.minRating)}${[5, 6, 7, 8].map(value => option(value, `★ ${value}+`, filters.minRating)).join('')}</select></label>
+        <button type="submit" class="trakt-button">${t('filters.apply')}</button>
+        ${hasActiveFilters(filters) ? `<a class="nav-link" href="${buildSearchHash(query)}">${t('filters.clear')}</a>` : ''}
+    </form>`;
+}
+
+function bindSearchFilters(query) {
+    const form = document.querySelector('.search-filters');
+    if (!form) return;
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const data = new FormData(form);
+        const toNumber = key => parseFloat(data.get(key)) || null;
+        window.location.hash = buildSearchHash(query, {
+            type: data.get('type'),
+            yearFrom: toNumber('yearFrom'),
+            yearTo: toNumber('yearTo'),
+            maxRuntime: toNumber('maxRuntime'),
+            language: data.get('language') || null,
+            minRating: toNumber('minRating'),
+        });
+    });
+}
+
+// ================================================================
+// --- SETTINGS VIEW & LOCAL DATA ---
+// ================================================================
+
+const MIN_RESULTS = 3;
+const MAX_RESULTS = 20;
+
+function createSettingsView() {
+    const settings = storage.getSettings();
+    const region = settings.watchRegion;
+    return `<div class="view settings-view"><h1>${t('settings.title')}</h1>
+        <form class="search-filters settings-form" aria-label="${t('settings.title')}">
+            <fieldset class="settings-group"><legend>${t('settings.general')}</legend>
+                <label>${t('nav.language')}<select name="locale">${Object.entries(LOCALES).map(([locale, { label }]) => createOption(locale, label, getLocale())).join('')}</select></label>
+                <label>${t('settings.defaultMediaType')}<select name="defaultMediaType">${createOption('any', t('filters.anyType'), settings.defaultMediaType)}${createOption('movie', t('filters.movies'), settings.defaultMediaType)}${createOption('tv', t('filters.tv'), settings.defaultMediaType)}</select></label>
+                <label>${t('settings.numResults')}<input type="number" name="numResults" min="${MIN_RESULTS}" max="${MAX_RESULTS}" value="${settings.numResults}"></label>
+                <label>${t('settings.imageQuality')}<select name="imageQuality">${['low', 'standard', 'high'].map(quality => createOption(quality, t(`settings.quality.${quality}`), settings.imageQuality)).join('')}</select></label>
+                <label>${t('watch.region')}<select name="watchRegion"><option value="" data-keep${region ? '' : ' selected'}>${t('settings.browserRegion', { region: storage.getWatchRegion() })}</option>${region ? createOption(region, region, region) : ''}</select></label>
+            </fieldset>
+            <fieldset class="settings-group settings-ai">${createAISettingsFields()}</fieldset>
+        </form>
+        <section class="settings-group settings-data"><h2>${t('settings.data')}</h2><p class="settings-hint">${t('settings.dataHint')}</p><div class="settings-actions"><button type="button" class="trakt-button settings-export"><i data-lucide="download"></i> ${t('settings.export')}</button><label class="trakt-button settings-import"><i data-lucide="upload"></i> ${t('settings.import')}<input type="file" accept="application/json,.json" hidden></label><button type="button" class="nav-link settings-reset">${t('settings.reset')}</button></div><p class="settings-status" aria-live="polite"></p></section>
+    </div>`;
+}
+
+// Every AI provider setting, in one place; a blank model or base URL means the provider's default.
+function createAISettingsFields() {
+    const saved = storage.getAISettings();
+    const settings = ai.resolveAISettings(saved);
+    const provider = ai.AI_PROVIDERS[settings.provider];
+    const providerOptions = Object.entries(ai.AI_PROVIDERS).map(([id, { label }]) => createOption(id, label, settings.provider)).join('');
+    return `<legend>${t('settings.ai')}</legend>
+        <label>${t('ai.provider')}<select name="provider">${providerOptions}</select></label>
+        <label>${t('ai.model')}<input type="text" name="model" placeholder="${escapeHTML(provider.defaultModel || t('ai.serverModel'))}" value="${escapeHTML(saved.model || '')}"></label>
+        <label>${t('ai.baseUrl')}<input type="url" name="baseUrl" placeholder="${escapeHTML(provider.defaultBaseUrl)}" value="${escapeHTML(saved.baseUrl || '')}"></label>
+        ${settings.provider === 'openai' ? `<label>${t('ai.apiKey')}<input type="password" name="apiKey" autocomplete="off" placeholder="${t('ai.apiKeyPlaceholder')}" value="${escapeHTML(settings.apiKey)}"></label>` : ''}
+        <label><span>${t('ai.temperature')} <output>${settings.temperature}</output></span><input type="range" name="temperature" min="0" max="2" step="0.1" value="${settings.temperature}"></label>
+        ${settings.provider === 'gemini' ? `<label>${t('settings.safetyThreshold')}<select name="safetyThreshold">${ai.SAFETY_THRESHOLDS.map(threshold => createOption(threshold, t(`settings.safety.${threshold}`), settings.safetyThreshold)).join('')}</select></label>` : ''}`;
+}
+
+function saveAISetting(name, value) {
+    // Models, URLs and keys belong to one provider, so switching starts from the new provider's defaults.
+    const changes = name === 'provider'
+        ? { provider: value, model: '', baseUrl: '', apiKey: '' }
+        : { [name]: name === 'temperature' ? parseFloat(value) : value.trim() };
+    storage.saveAISettings({ ...storage.getAISettings(), ...changes });
+}
+
+function bindSettingsView(view) {
+    const form = view.querySelector('.settings-form');
+    const status = view.querySelector('.settings-status');
+    form.addEventListener('input', e => {
+        if (e.target.name === 'temperature') form.querySelector('output').textContent = e.target.value;
+    });
+    form.addEventListener('change', e => {
+        const { name, value } = e.target;
+        if (name === 'locale') { changeLocale(value); return; }
+        if (e.target.closest('.settings-ai')) {
+            saveAISetting(name, value);
+            // Model, URL, key and safety fields depend on the provider.
+            if (name === 'provider') form.querySelector('.settings-ai').innerHTML = createAISettingsFields();
+        } else if (name === 'numResults') {
+            const numResults = Math.min(Math.max(parseInt(value, 10) || storage.DEFAULT_SETTINGS.numResults, MIN_RESULTS), MAX_RESULTS);
+            e.target.value = numResults;
+            storage.saveSettings({ numResults });
+        } else {
+            storage.saveSettings({ [name]: value || null });
+        }
+        status.textContent = t('settings.saved');
+    });
+
+    view.querySelector('.settings-export').addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(storage.exportLocalData(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pcinegpt-data-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+
+    view.querySelector('.settings-import input').addEventListener('change', async e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !window.confirm(t('settings.importConfirm'))) return;
+        try {
+            storage.importLocalData(JSON.parse(await file.text()));
+            // Theme, locale and every cached preference are read at startup, so start fresh.
+            window.location.reload();
+        } catch (error) {
+            console.error('Could not import local data:', error);
+            status.textContent = t('settings.importFailed');
+        }
+    });
+
+    view.querySelector('.settings-reset').addEventListener('click', () => {
+        if (!window.confirm(t('settings.resetConfirm'))) return;
+        storage.resetSettings();
+        router();
+    });
+}
+
+function createAIPrompt() { return `<style>.view{animation:none;}</style><div class="view home-view"><div class="ai-prompt-container"><h1>${t('home.title')}</h1><p>${t('home.subtitle')}</p><div class="search-input-wrapper"><input type="text" class="search-input" id="main-search-input" placeholder="${escapeHTML(t('home.placeholder'))}" aria-label="${t('home.searchLabel')}"></div>${createOfflineNotice()}<div class="suggestion-chips"><span class="pinned-chips">${createPinnedChips()}</span>${['SciFi', 'Mysteries', 'Dramas'].map(chip => `<button class="chip" data-query="${escapeHTML(t(`home.chip${chip}Query`))}">${t(`home.chip${chip}`)}</button>`).join('')}</div><div class="search-history-container">${createSearchHistory()}</div></div><div class="carousel-master-container"></div></div>`; }
 function createCarousel(title, items, type = 'movie') { return `<h2 class="carousel-title">${title}</h2><div class="carousel-content">${items.map(item => createPosterCard(item, type)).join('')}</div>`; }
-function createPosterCard(item, type) { const title = item.title || item.name; const hrefType = item.media_type || type; return `<div class="poster-card"><a href="#/${hrefType}/${item.id}"><img src="${api.getPosterUrl(item.poster_path)}" alt="${title}" loading="lazy"><div class="poster-overlay"><span>${title}</span></div></a></div>`; }
+function createPosterCard(item, type) { const title = item.title || item.name; const hrefType = item.media_type || type; const reason = item.ai_reason ? `<p class="poster-reason">${escapeHTML(item.ai_reason)}</p>` : ''; const badge = state.watchedIds.has(mediaKey(hrefType, item.id)) ? `<span class="poster-badge"><i data-lucide="eye"></i> ${t('poster.watched')}</span>` : item.low_confidence ? `<span class="poster-badge poster-badge-uncertain" title="${t('poster.matchConfidence', { percent: formatNumber(item.match_confidence, { style: 'percent' }) })}"><i data-lucide="help-circle"></i> ${t('poster.possibleMatch')}</span>` : ''; return `<div class="poster-card"><a href="#/${hrefType}/${item.id}">${badge}<img src="${api.getPosterUrl(item.poster_path)}" alt="${title}" loading="lazy"><div class="poster-overlay"><span>${title}</span>${reason}</div></a></div>`; }
 
 // ================================================================
 // --- EVENT HANDLING & INITIALIZATION ---
 // ================================================================
 
-function handleSearch(query) { if (query?.trim()) window.location.hash = `#/search/${encodeURIComponent(query.trim())}`; }
-function bindSearchInputEvents() { const searchInput = document.getElementById('main-search-input'); if (searchInput) searchInput.addEventListener('keydown', e => { if (e.key === 'Enter') handleSearch(e.target.value); }); document.querySelectorAll('.chip').forEach(chip => chip.addEventListener('click', () => handleSearch(chip.dataset.query))); }
-async function handleWatchlistClick(e) { const button = e.target.closest('.watchlist-button'); if (!button) return; if (!state.isTraktAuthenticated) { trakt.redirectToTraktAuth(); return; } const view = e.target.closest('.detail-view'); const { mediaId, mediaType, mediaTitle, mediaYear } = view.dataset; const mediaItem = { id: parseInt(mediaId), type: mediaType, title: mediaTitle, year: parseInt(mediaYear) }; const isInWatchlist = state.traktWatchlist.some(item => (item.movie?.ids?.tmdb || item.show?.ids?.tmdb) === mediaItem.id); button.disabled = true; button.innerHTML = '<div class="spinner" style="width:18px;height:18px;border-width:2px;margin:auto;"></div>'; try { isInWatchlist ? await trakt.removeFromWatchlist(mediaItem) : await trakt.addToWatchlist(mediaItem); await fetchTraktWatchlist(); button.innerHTML = !isInWatchlist ? '<i data-lucide="check"></i> In Watchlist' : '<i data-lucide="plus"></i> Add to Watchlist'; if (window.lucide) lucide.createIcons(); } catch (error) { console.error("Failed to update watchlist:", error); button.innerHTML = 'Error'; } finally { button.disabled = false; } }
+function escapeHTML(value) { return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])); }
+function handleSearch(query) { if (query?.trim()) window.location.hash = buildSearchHash(query.trim(), { type: storage.getSettings().defaultMediaType }); }
+function bindSearchInputEvents() { const searchInput = document.getElementById('main-search-input'); if (searchInput) searchInput.addEventListener('keydown', e => { if (e.key === 'Enter') handleSearch(e.target.value); }); document.querySelectorAll('.chip[data-query]').forEach(chip => chip.addEventListener('click', () => handleSearch(chip.dataset.query))); }
+async function handleWatchlistClick(e) { const button = e.target.closest('.watchlist-button'); if (!button) return; if (!state.isTraktAuthenticated) { trakt.redirectToTraktAuth(); return; } const view = e.target.closest('.detail-view'); const mediaItem = getDetailMediaItem(view); const isInWatchlist = state.traktWatchlist.some(item => (item.movie?.ids?.tmdb || item.show?.ids?.tmdb) === mediaItem.id); button.disabled = true; button.innerHTML = '<div class="spinner" style="width:18px;height:18px;border-width:2px;margin:auto;"></div>'; try { isInWatchlist ? await trakt.removeFromWatchlist(mediaItem) : await trakt.addToWatchlist(mediaItem); await fetchTraktWatchlist(); button.innerHTML = createWatchlistButtonContent(!isInWatchlist); if (window.lucide) lucide.createIcons(); } catch (error) { console.error("Failed to update watchlist:", error); button.innerHTML = t('errors.short'); } finally { button.disabled = false; } }
+function createWatchlistButtonContent(isInWatchlist) { return isInWatchlist ? `<i data-lucide="check"></i> ${t('detail.inWatchlist')}` : `<i data-lucide="plus"></i> ${t('detail.addToWatchlist')}`; }
+function createOfflineNotice(message = t('offline.aiUnavailable')) { return `<p class="offline-notice" role="status"><i data-lucide="wifi-off"></i> ${escapeHTML(message)}</p>`; }
+function createOption(value, label, current) { return `<option value="${value}"${String(current ?? '') === String(value) ? ' selected' : ''}>${label}</option>`; }
 function showLoading() { if (dom.root) dom.root.innerHTML = `<div class="loading-container"><div class="spinner"></div></div>`; }
-function updateAuthUI() { state.isTraktAuthenticated = !!storage.getTraktTokens(); dom.trakt.authBtn.textContent = state.isTraktAuthenticated ? 'Logout Trakt' : 'Connect Trakt'; dom.trakt.statsLink.style.display = state.isTraktAuthenticated ? 'inline-block' : 'none'; }
+function updateAuthUI() { state.isTraktAuthenticated = !!storage.getTraktTokens(); dom.trakt.authBtn.textContent = state.isTraktAuthenticated ? t('nav.logoutTrakt') : t('nav.connectTrakt'); dom.trakt.statsLink.style.display = state.isTraktAuthenticated ? 'inline-block' : 'none'; dom.trakt.watchlistLink.style.display = state.isTraktAuthenticated ? 'inline-block' : 'none'; dom.trakt.listsLink.style.display = state.isTraktAuthenticated ? 'inline-block' : 'none'; }
 async function handleAuthCallback() { const urlParams = new URLSearchParams(window.location.search); const authCode = urlParams.get('code'); if (authCode) { window.history.replaceState({}, document.title, window.location.pathname); showLoading(); await trakt.handleTraktCallback(authCode); } }
+async function fetchWatchedHistory() { if (storage.getTraktTokens()) { try { const { movies, shows } = await trakt.getWatchedHistory(); state.watchedIds = new Set([...Object.keys(movies).map(id => mediaKey('movie', id)), ...Object.keys(shows).map(id => mediaKey('tv', id))]); } catch (error) { console.error("Could not fetch Trakt watched history:", error); state.watchedIds = new Set(); } } }
 async function fetchTraktWatchlist() { if (storage.getTraktTokens()) { try { state.traktWatchlist = await trakt.getWatchlist(); } catch (error) { console.error("Could not fetch Trakt watchlist:", error); state.traktWatchlist = []; } } }
-function initEventListeners() { window.addEventListener('hashchange', router); dom.themeToggleBtn.addEventListener('click', toggleTheme); dom.trakt.authBtn.addEventListener('click', () => { state.isTraktAuthenticated ? trakt.logoutTrakt() : trakt.redirectToTraktAuth(); }); dom.root.addEventListener('click', handleWatchlistClick); }
+function initEventListeners() { window.addEventListener('hashchange', router); dom.themeToggleBtn.addEventListener('click', toggleTheme); dom.localeSelect?.addEventListener('change', e => changeLocale(e.target.value)); dom.trakt.authBtn.addEventListener('click', () => { state.isTraktAuthenticated ? trakt.logoutTrakt() : trakt.redirectToTraktAuth(); }); dom.root.addEventListener('click', handleWatchlistClick); dom.root.addEventListener('click', handleTraktActivityClick); }
 
 async function init() {
     console.log("Application initializing...");
@@ -236,6 +1828,11 @@ async function init() {
         // 1. Set up all synchronous UI event listeners and initial theme.
         initEventListeners();
         initTheme();
+        initLocale();
+        initConnectivity();
+        registerServiceWorker();
+        state.showWatched = storage.getShowWatched();
+        state.onlyMyServices = storage.getOnlyMyServices();
         if (window.lucide) lucide.createIcons();
 
         // 2. Handle potential Trakt authentication callback from URL.
@@ -243,7 +1840,7 @@ async function init() {
         
         // 3. Update UI based on authentication state and fetch user data.
         updateAuthUI();
-        await fetchTraktWatchlist();
+        await Promise.all([fetchTraktWatchlist(), fetchWatchedHistory()]);
         
         // 4. Run the router for the first time to render the initial view.
         console.log("Initialization complete. Routing to initial view.");
@@ -251,7 +1848,7 @@ async function init() {
 
     } catch (error) {
         console.error("A critical error occurred during app initialization:", error);
-        renderError("The application failed to start. Please try refreshing the page.");
+        renderError(t('errors.startup'));
     }
 }
 
@@ -0,0 +1,157 @@
+/*
+================================================================
+CHARTS.JS - AWWWARDS REBUILD 2025 (INLINE SVG CHARTS)
+- Dependency-free chart builders for the stats dashboard.
+- Each function returns an inline SVG string that scales to its container.
+- Colors come from CSS classes (.chart-bar, .chart-series-N, .heat-N), so charts follow the theme.
+- Labels are passed in already localized; this module only lays things out.
+================================================================
+*/
+
+const CHART_WIDTH = 600;
+const MAX_SERIES = 6; // Matches the .chart-series-N classes in main.css
+
+
+// --- Helpers ---
+
+function escapeSVG(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function openSVG(height, ariaLabel) {
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeSVG(ariaLabel)}" preserveAspectRatio="xMidYMid meet">`;
+}
+
+/**
+ * Formats a local calendar day as 'YYYY-MM-DD', the key the heatmap counts are stored under.
+ * @param {Date} date - The day.
+ * @returns {string} The date key.
+ */
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+
+// --- Charts ---
+
+/**
+ * Draws a bar chart: vertical columns, or horizontal rows for long labels such as names.
+ * @param {object} chart
+ * @param {Array<{label: string, value: number, title?: string, href?: string}>} chart.bars - The bars, in order.
+ *   `title` is the hover text; `href` turns the bar's label into a link.
+ * @param {string} chart.ariaLabel - Describes the chart for screen readers.
+ * @param {'vertical'|'horizontal'} [chart.orientation='vertical'] - The bar direction.
+ * @param {function(number): string} [chart.formatValue=String] - Formats the value printed on each bar.
+ * @returns {string} The SVG markup.
+ */
+export function createBarChart({ bars, ariaLabel, orientation = 'vertical', formatValue = String }) {
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const title = bar => `<title>${escapeSVG(bar.title || `${bar.label}: ${formatValue(bar.value)}`)}</title>`;
+
+    if (orientation === 'horizontal') {
+        const rowHeight = 28;
+        const labelWidth = 180;
+        const barSpace = CHART_WIDTH - labelWidth - 48;
+        const rows = bars.map((bar, i) => {
+            const y = i * rowHeight;
+            const width = Math.max(2, (bar.value / max) * barSpace);
+            const label = `<text class="chart-label" x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${escapeSVG(truncate(bar.label, 24))}</text>`;
+            return `<g>${title(bar)}${bar.href ? `<a href="${escapeSVG(bar.href)}">${label}</a>` : label}<rect class="chart-bar" x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="4"></rect><text class="chart-value" x="${labelWidth + width + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle">${escapeSVG(formatValue(bar.value))}</text></g>`;
+        }).join('');
+        return `${openSVG(bars.length * rowHeight, ariaLabel)}${rows}</svg>`;
+    }
+
+    const height = 220;
+    const top = 20;
+    const bottom = 24;
+    const slot = CHART_WIDTH / Math.max(bars.length, 1);
+    const columns = bars.map((bar, i) => {
+        const barHeight = (bar.value / max) * (height - top - bottom);
+        const x = i * slot + slot * 0.15;
+        const y = height - bottom - barHeight;
+        return `<g>${title(bar)}<rect class="chart-bar" x="${x}" y="${y}" width="${slot * 0.7}" height="${barHeight}" rx="4"></rect>${bar.value > 0 ? `<text class="chart-value" x="${x + slot * 0.35}" y="${y - 6}" text-anchor="middle">${escapeSVG(formatValue(bar.value))}</text>` : ''}<text class="chart-label" x="${x + slot * 0.35}" y="${height - 6}" text-anchor="middle">${escapeSVG(bar.label)}</text></g>`;
+    }).join('');
+    return `${openSVG(height, ariaLabel)}<line class="chart-axis" x1="0" y1="${height - bottom}" x2="${CHART_WIDTH}" y2="${height - bottom}"></line>${columns}</svg>`;
+}
+
+/**
+ * Draws stacked columns, one segment per series (e.g. genres per month).
+ * @param {object} chart
+ * @param {Array<{label: string, values: Array<number>}>} chart.columns - Each column's values, in series order.
+ * @param {Array<string>} chart.series - The series names (at most six are colored distinctly).
+ * @param {string} chart.ariaLabel - Describes the chart for screen readers.
+ * @returns {string} The SVG markup.
+ */
+export function createStackedBarChart({ columns, series, ariaLabel }) {
+    const height = 240;
+    const bottom = 24;
+    const max = Math.max(1, ...columns.map(column => column.values.reduce((sum, value) => sum + value, 0)));
+    const slot = CHART_WIDTH / Math.max(columns.length, 1);
+    // Label every column when they fit, otherwise every n-th one.
+    const labelEvery = Math.ceil(columns.length / 12);
+
+    const bars = columns.map((column, i) => {
+        const x = i * slot + slot * 0.15;
+        let y = height - bottom;
+        const segments = column.values.map((value, s) => {
+            if (value <= 0) return '';
+            const segmentHeight = (value / max) * (height - bottom - 8);
+            y -= segmentHeight;
+            return `<rect class="chart-series-${s % MAX_SERIES}" x="${x}" y="${y}" width="${slot * 0.7}" height="${segmentHeight}"><title>${escapeSVG(`${column.label} · ${series[s]}: ${value}`)}</title></rect>`;
+        }).join('');
+        const label = i % labelEvery === 0 ? `<text class="chart-label" x="${x + slot * 0.35}" y="${height - 6}" text-anchor="middle">${escapeSVG(column.label)}</text>` : '';
+        return `<g>${segments}${label}</g>`;
+    }).join('');
+    return `${openSVG(height, ariaLabel)}<line class="chart-axis" x1="0" y1="${height - bottom}" x2="${CHART_WIDTH}" y2="${height - bottom}"></line>${bars}</svg>`;
+}
+
+/**
+ * Builds the legend for a stacked chart, as HTML to place next to the SVG.
+ * @param {Array<string>} series - The series names, in order.
+ * @returns {string} The legend markup.
+ */
+export function createChartLegend(series) {
+    return `<ul class="chart-legend">${series.map((name, s) => `<li><svg viewBox="0 0 10 10" aria-hidden="true"><rect class="chart-series-${s % MAX_SERIES}" width="10" height="10" rx="2"></rect></svg>${escapeSVG(name)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Draws a calendar heatmap with one cell per day, one column per week (weeks start on Sunday).
+ * @param {object} chart
+ * @param {Date} chart.start - The first day shown.
+ * @param {Date} chart.end - The last day shown.
+ * @param {Map<string, number>} chart.counts - Counts per `toDateKey` day.
+ * @param {string} chart.ariaLabel - Describes the chart for screen readers.
+ * @param {function(Date, number): string} chart.formatTitle - Hover text for a day and its count.
+ * @param {function(Date): string} chart.formatMonth - Short month name for the column labels.
+ * @returns {string} The SVG markup.
+ */
+export function createHeatmap({ start, end, counts, ariaLabel, formatTitle, formatMonth }) {
+    const cell = 10;
+    const gap = 2;
+    const top = 16;
+    const max = Math.max(1, ...counts.values());
+    const first = new Date(start.getFullYear(), start.getMonth(), start.getDate() - start.getDay());
+
+    let cells = '';
+    let months = '';
+    let week = 0;
+    // Step by calendar day (not by 24h), so daylight saving changes never skip or repeat a day.
+    for (let index = 0, day = new Date(first); day <= end; index++, day.setDate(day.getDate() + 1)) {
+        week = Math.floor(index / 7);
+        const x = week * (cell + gap);
+        if (day.getDate() === 1 && day >= start) {
+            months += `<text class="chart-label" x="${x}" y="${top - 5}">${escapeSVG(formatMonth(day))}</text>`;
+        }
+        if (day < start) continue;
+        const count = counts.get(toDateKey(day)) || 0;
+        const level = count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+        cells += `<rect class="heat-${level}" x="${x}" y="${top + day.getDay() * (cell + gap)}" width="${cell}" height="${cell}" rx="2"><title>${escapeSVG(formatTitle(new Date(day), count))}</title></rect>`;
+    }
+    const width = (week + 1) * (cell + gap);
+    const height = top + 7 * (cell + gap);
+    return `<svg class="chart heatmap" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeSVG(ariaLabel)}">${months}${cells}</svg>`;
+}
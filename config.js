@@ -0,0 +1,18 @@
+/*
+================================================================
+CONFIG.JS - AWWWARDS REBUILD 2025 (DEPLOYMENT CONFIGURATION)
+- Single source of truth for where the backend proxy lives.
+- Override per deployment with <meta name="pcinegpt-proxy-url"> in index.html.
+================================================================
+*/
+
+const DEFAULT_PROXY_BASE_URL = 'http://localhost:8787';
+
+/**
+ * Base URL of the backend proxy (server/proxy.mjs) that holds all API secrets.
+ * Every TMDB, AI and Trakt request is routed through it. No trailing slash.
+ * @type {string}
+ */
+export const PROXY_BASE_URL = (
+    document.querySelector('meta[name="pcinegpt-proxy-url"]')?.content || DEFAULT_PROXY_BASE_URL
+).replace(/\/+$/, '');
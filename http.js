@@ -0,0 +1,298 @@
+/*
+================================================================
+HTTP.JS - AWWWARDS REBUILD 2025 (SHARED REQUEST LAYER)
+- One request helper for the TMDB, AI and Trakt clients.
+- Retries rate limits and transient failures with exponential backoff and jitter,
+  honouring Retry-After headers.
+- Adds timeouts via AbortController and a per-service concurrency limit; both also cover
+  reading the body, so a stalled stream is cut off instead of hanging.
+- Honours a caller's AbortSignal: an aborted request is neither retried nor reported as a failure.
+- Reports typed errors (rate-limited, auth, not-found, network) the UI can show distinctly.
+================================================================
+*/
+
+// --- Configuration ---
+const DEFAULT_TIMEOUT = 15000; // ms
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_DELAY = 500; // ms, doubled on every attempt
+const MAX_BACKOFF_DELAY = 30000; // ms, also caps Retry-After
+const MAX_CONCURRENT_PER_SERVICE = 6;
+const TRANSIENT_STATUSES = new Set([500, 502, 503, 504]);
+
+
+// --- Typed Errors ---
+
+/**
+ * Base class for every failed API request.
+ * `kind` is one of 'rate-limited', 'auth', 'not-found', 'network', 'server' or 'client'.
+ */
+export class ApiError extends Error {
+    constructor(message, { kind, status = null, service = 'API' } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.service = service;
+    }
+}
+
+/** The service is rate-limiting us (HTTP 429) and retries were exhausted. */
+export class RateLimitError extends ApiError {
+    constructor(message, options) {
+        super(message, { ...options, kind: 'rate-limited' });
+        this.name = 'RateLimitError';
+    }
+}
+
+/** The request was not authorized (HTTP 401/403). */
+export class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message, { ...options, kind: 'auth' });
+        this.name = 'AuthError';
+    }
+}
+
+/** The requested resource does not exist (HTTP 404). */
+export class NotFoundError extends ApiError {
+    constructor(message, options) {
+        super(message, { ...options, kind: 'not-found' });
+        this.name = 'NotFoundError';
+    }
+}
+
+/** The request never got a response: offline, DNS/CORS failure or timeout. */
+export class NetworkError extends ApiError {
+    constructor(message, options) {
+        super(message, { ...options, kind: 'network' });
+        this.name = 'NetworkError';
+    }
+}
+
+
+// --- Per-Service Concurrency ---
+
+// Every service shares the proxy's host, so slots are counted per service on each host;
+// a long AI stream then never holds up TMDB or Trakt requests.
+// 'host service' -> { active: number, queue: Array<function> }
+const serviceSlots = new Map();
+
+/**
+ * Waits for a free request slot for a service.
+ * @param {string} key The request's host and service label.
+ * @returns {Promise<function>} Resolves with a `release` function once a slot is free.
+ */
+function acquireSlot(key) {
+    if (!serviceSlots.has(key)) serviceSlots.set(key, { active: 0, queue: [] });
+    const slots = serviceSlots.get(key);
+
+    const release = () => {
+        slots.active--;
+        const next = slots.queue.shift();
+        if (next) next();
+    };
+
+    return new Promise(resolve => {
+        const start = () => { slots.active++; resolve(release); };
+        slots.active < MAX_CONCURRENT_PER_SERVICE ? start() : slots.queue.push(start);
+    });
+}
+
+
+// --- Helpers ---
+
+/**
+ * Waits `ms` milliseconds, or rejects with the signal's reason as soon as it is aborted.
+ * @param {number} ms The delay.
+ * @param {AbortSignal} [signal] The caller's signal.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+        const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Computes how long to wait before the next attempt: the server's Retry-After if given,
+ * otherwise exponential backoff with full jitter.
+ * @param {number} attempt The zero-based attempt that just failed.
+ * @param {Response|null} response The failed response, if any.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = response?.headers.get('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+        if (ms >= 0) return Math.min(ms, MAX_BACKOFF_DELAY);
+    }
+    const ceiling = Math.min(BASE_BACKOFF_DELAY * 2 ** attempt, MAX_BACKOFF_DELAY);
+    return Math.random() * ceiling;
+}
+
+/**
+ * Hands a successful response over to its reader: the service slot stays taken until the body has
+ * been read (or cancelled), and the request is aborted if no data arrives for `timeout` ms.
+ * The idle timer starts right away, so an unread body also gives its slot back eventually.
+ * @param {Response} response The successful response.
+ * @param {object} guard
+ * @param {AbortController} guard.controller Aborts the underlying fetch.
+ * @param {number} guard.timeout Idle timeout in milliseconds.
+ * @param {function} guard.release Frees the service slot.
+ * @param {string} guard.service A label for error messages.
+ * @returns {Response} A response whose body enforces the idle timeout.
+ */
+function guardBody(response, { controller, timeout, release, service }) {
+    if (!response.body) {
+        release();
+        return response;
+    }
+    let timer = null;
+    let released = false;
+    let stalled = false;
+    const finish = () => {
+        clearTimeout(timer);
+        if (!released) { released = true; release(); }
+    };
+    const armIdleTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => { stalled = true; finish(); controller.abort(); }, timeout);
+    };
+
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+        start: armIdleTimer,
+        async pull(stream) {
+            try {
+                const { value, done } = await reader.read();
+                if (done) {
+                    finish();
+                    stream.close();
+                    return;
+                }
+                armIdleTimer();
+                stream.enqueue(value);
+            } catch (error) {
+                finish();
+                // Only the idle timer's abort is a stall; a caller's abort passes through as is
+                stream.error(stalled ? new NetworkError(`${service} response stalled: no data for ${timeout}ms`, { service }) : error);
+            }
+        },
+        cancel(reason) {
+            finish();
+            return reader.cancel(reason);
+        },
+    });
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Pulls a human-readable message out of an error response body (TMDB, Gemini and Trakt all differ).
+ * @param {Response} response The failed response.
+ * @returns {Promise<string>} The message.
+ */
+async function readErrorMessage(response) {
+    const text = await response.text().catch(() => '');
+    try {
+        const body = JSON.parse(text);
+        return body.status_message || body.error?.message || body.error_description || body.error || text;
+    } catch {
+        return text || response.statusText || 'Unknown API error';
+    }
+}
+
+/**
+ * Converts a failed response into the matching typed error.
+ * @param {Response} response The failed response.
+ * @param {string} service A label for messages ('TMDB', 'Gemini', 'Trakt').
+ * @returns {Promise<ApiError>} The error.
+ */
+async function toApiError(response, service) {
+    const { status } = response;
+    const message = `${service} API error: ${status} - ${await readErrorMessage(response)}`;
+    const options = { status, service };
+    if (status === 429) return new RateLimitError(message, options);
+    if (status === 401 || status === 403) return new AuthError(message, options);
+    if (status === 404) return new NotFoundError(message, options);
+    return new ApiError(message, { ...options, kind: status >= 500 ? 'server' : 'client' });
+}
+
+
+// --- Public Request Function ---
+
+/**
+ * Fetches a URL with timeouts, retries and per-service concurrency limiting.
+ * The timeout applies until the headers arrive and then between chunks of the body, and
+ * the service slot is held until the body is read, so streamed responses are covered too.
+ * 429s are always retried. Transient 5xx responses and network failures are retried only
+ * for idempotent requests (GET/HEAD by default), so writes are never applied twice.
+ * Network failures are not retried while the browser is offline.
+ * @param {string} url The URL to request.
+ * @param {object} [options={}] `fetch` options plus:
+ * @param {string} [options.service='API'] A label for error messages; also the concurrency group.
+ * @param {number} [options.timeout=15000] Per-attempt timeout, and body idle timeout, in milliseconds.
+ * @param {number} [options.retries=3] Maximum number of retries.
+ * @param {boolean} [options.idempotent] Override whether 5xx/network failures may be retried.
+ * @param {AbortSignal} [options.signal] Cancels the request, its retries and the body read.
+ * @returns {Promise<Response>} The successful (2xx) response.
+ * @throws {ApiError} A typed error if the request ultimately fails.
+ * @throws {DOMException} The signal's reason (an AbortError by default) if the caller aborted.
+ */
+export async function request(url, options = {}) {
+    const {
+        service = 'API',
+        timeout = DEFAULT_TIMEOUT,
+        retries = DEFAULT_RETRIES,
+        idempotent,
+        signal,
+        ...fetchOptions
+    } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetryTransient = idempotent ?? (method === 'GET' || method === 'HEAD');
+    const slotKey = `${new URL(url, window.location.href).host} ${service}`;
+
+    for (let attempt = 0; ; attempt++) {
+        const releaseSlot = await acquireSlot(slotKey);
+        const controller = new AbortController();
+        const abortFromCaller = () => controller.abort(signal.reason);
+        const release = () => {
+            signal?.removeEventListener('abort', abortFromCaller);
+            releaseSlot();
+        };
+        if (signal?.aborted) {
+            release();
+            throw signal.reason;
+        }
+        signal?.addEventListener('abort', abortFromCaller, { once: true });
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let response = null;
+        let failure = null;
+        try {
+            response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message;
+            failure = new NetworkError(`${service} request failed: ${reason}`, { service });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response?.ok) return guardBody(response, { controller, timeout, release, service });
+        release();
+        if (signal?.aborted) throw signal.reason;
+
+        // Retrying a network failure is pointless while the browser reports no connection
+        const retriable = response
+            ? response.status === 429 || (canRetryTransient && TRANSIENT_STATUSES.has(response.status))
+            : canRetryTransient && navigator.onLine !== false;
+        if (!retriable || attempt >= retries) {
+            throw failure || await toApiError(response, service);
+        }
+
+        const delay = getRetryDelay(attempt, response);
+        console.warn(`[${service}] ${response ? `HTTP ${response.status}` : 'Network failure'}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${retries}).`);
+        await sleep(delay, signal);
+    }
+}
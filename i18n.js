@@ -0,0 +1,661 @@
+/*
+================================================================
+I18N.JS - AWWWARDS REBUILD 2025 (LOCALIZATION)
+- Message catalogs for every UI string, one per supported locale.
+- Holds the active locale (persisted via storage.js), which also sets the
+  TMDB content language/region and the language the AI answers in.
+- Locale-aware number and date formatting through Intl.
+================================================================
+*/
+
+import * as storage from './storage.js';
+
+// --- Configuration ---
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * The supported locales. `region` is sent to TMDB and picks release certifications.
+ * @type {Object<string, {label: string, region: string}>}
+ */
+export const LOCALES = {
+    'en-US': { label: 'English', region: 'US' },
+    'de-DE': { label: 'Deutsch', region: 'DE' },
+};
+
+// Plural messages are objects keyed by Intl.PluralRules category ('one', 'other', ...).
+const catalogs = {
+    'en-US': {
+        'nav.watchlist': 'Watchlist',
+        'nav.lists': 'Lists',
+        'nav.stats': 'My Stats',
+        'nav.settings': 'Settings',
+        'nav.connectTrakt': 'Connect Trakt',
+        'nav.logoutTrakt': 'Logout Trakt',
+        'nav.toggleTheme': 'Toggle light and dark theme',
+        'nav.language': 'Language',
+
+        'home.title': 'Your Conversational Movie Navigator',
+        'home.subtitle': "Tell me what you're in the mood for. A genre, an actor, a vibe – anything.",
+        'home.placeholder': 'e.g., "space operas like Dune"',
+        'home.searchLabel': 'Search for movies and shows',
+        'home.chipSciFi': 'Sci-Fi',
+        'home.chipSciFiQuery': 'mind-bending sci-fi movies',
+        'home.chipMysteries': 'Mysteries',
+        'home.chipMysteriesQuery': 'cozy mystery shows',
+        'home.chipDramas': 'Dramas',
+        'home.chipDramasQuery': 'oscar winning dramas from the 90s',
+
+        'carousel.trendingMovies': 'Trending Movies',
+        'carousel.trendingTv': 'Trending TV Shows',
+        'carousel.topRatedMovies': 'Top Rated Movies',
+        'carousel.topRatedTv': 'Top Rated TV Shows',
+        'carousel.personalized': 'Based on Your Top Ratings',
+        'carousel.error': 'This row could not be loaded right now.',
+
+        'errors.loadContent': 'Could not load content. Please check your connection and try again.',
+        'errors.generic': 'Something went wrong. Please try again.',
+        'errors.serviceAI': 'The AI service',
+        'errors.serviceServer': 'The server',
+        'errors.rateLimited': '{service} is receiving too many requests right now. Please wait a moment and try again.',
+        'errors.traktSession': 'Your Trakt session has expired. Please sign in again.',
+        'errors.auth': '{service} rejected the request. Check that a valid API key is configured.',
+        'errors.notFound': 'We could not find what you were looking for. It may have been removed.',
+        'errors.network': '{service} could not be reached. Please check your connection and try again.',
+        'errors.server': '{service} is having trouble right now. Please try again shortly.',
+        'errors.aiFormat': 'The AI returned its recommendations in an unexpected format. Please try again.',
+        'errors.aiUnreachable': 'Could not reach the AI service. Please check your connection and try again.',
+        'errors.startup': 'The application failed to start. Please try refreshing the page.',
+        'errors.short': 'Error',
+
+        'detail.whyThisPick': 'Why this pick',
+        'detail.seasonCount': { one: '{count} season', other: '{count} seasons' },
+        'detail.episodeCount': { one: '{count} episode', other: '{count} episodes' },
+        'detail.runtime': '{minutes} min',
+        'detail.addToWatchlist': 'Add to Watchlist',
+        'detail.inWatchlist': 'In Watchlist',
+        'detail.trailer': 'Trailer',
+        'detail.trailerTitle': '{title} trailer',
+        'detail.cast': 'Cast',
+        'detail.seasons': 'Seasons',
+        'detail.moreLikeThis': 'More like this',
+        'detail.recommendedByTmdb': 'Recommended by TMDB',
+        'detail.similarVibe': 'A similar vibe',
+        'detail.similarVibeEmpty': 'The AI could not find anything with a similar vibe this time.',
+
+        'person.readMore': 'Read more',
+        'person.noBiography': 'No biography available.',
+        'person.born': 'Born {date}',
+        'person.bornIn': 'Born {date} in {place}',
+        'person.died': 'Died {date}',
+        'person.underratedWorks': 'Underrated works',
+        'person.filmography': 'Filmography',
+        'person.sortLabel': 'Sort the filmography',
+        'person.noCredits': 'No credits found.',
+        'person.noDeepCuts': 'Not enough credits to find any deep cuts.',
+
+        'watch.onlyMyServices': 'Only on my services',
+        'watch.whereToWatch': 'Where to watch',
+        'watch.region': 'Region',
+        'watch.myServices': 'My streaming services',
+        'watch.stream': 'Stream',
+        'watch.free': 'Free',
+        'watch.ads': 'With ads',
+        'watch.rent': 'Rent',
+        'watch.buy': 'Buy',
+        'watch.allOffers': 'All offers',
+        'watch.attribution': 'Availability data by JustWatch',
+        'watch.unavailable': 'Not available to stream, rent or buy in this region.',
+        'watch.loadFailed': 'Could not load streaming availability.',
+        'watch.servicesFailed': 'Could not load streaming services.',
+
+        'sort.sortBy': 'Sort by',
+        'sort.year': 'Year',
+        'sort.rating': 'Rating',
+        'sort.dateAdded': 'Date added',
+        'sort.releaseYear': 'Release year',
+
+        'filters.label': 'Search filters',
+        'filters.type': 'Type',
+        'filters.anyType': 'Movies & TV',
+        'filters.movies': 'Movies',
+        'filters.tv': 'TV Shows',
+        'filters.from': 'From',
+        'filters.to': 'To',
+        'filters.yearPlaceholder': 'Year',
+        'filters.maxRuntime': 'Max runtime',
+        'filters.minutesPlaceholder': 'min',
+        'filters.language': 'Language',
+        'filters.any': 'Any',
+        'filters.minRating': 'Min rating',
+        'filters.apply': 'Apply',
+        'filters.clear': 'Clear',
+
+        'search.title': 'Results for "{query}"',
+        'search.refinePlaceholder': 'Refine these results, e.g. "darker", "only from the 80s", "no anime"',
+        'search.refineLabel': 'Refine these results',
+        'search.aiRecommendations': 'AI Recommendations',
+        'search.refinedRecommendations': 'Refined Recommendations',
+        'search.noneOnServices': 'None of these are streaming on your services. Turn off "Only on my services" to see them all.',
+        'search.allWatched': 'You have already watched every one of these. Turn on "Show titles I\'ve watched" to see them.',
+        'search.noneMatchFilters': 'None of the AI recommendations matched your filters. Try loosening them or rephrasing your request.',
+        'search.noneMatched': 'None of the AI recommendations could be matched to a title. Try rephrasing your request.',
+        'search.showWatched': "Show titles I've watched",
+
+        'history.recent': 'Recent searches',
+        'history.savedResults': 'Show the saved results',
+        'history.snapshotTitle': 'Saved results for "{query}"',
+        'history.searchedAt': 'Searched {date}',
+        'history.rerun': 'Run again',
+        'history.pin': 'Pin to the home page',
+        'history.unpin': 'Unpin',
+        'history.remove': 'Remove from history',
+        'history.clear': 'Clear history',
+        'history.clearConfirm': 'Clear your search history? Pinned searches are kept.',
+        'history.notFound': 'This saved search is no longer in your history.',
+
+        'watchlist.title': 'My Watchlist',
+        'watchlist.toolbarLabel': 'Sort and filter the watchlist',
+        'watchlist.genre': 'Genre',
+        'watchlist.allGenres': 'All genres',
+        'watchlist.removeSelected': 'Remove selected',
+        'watchlist.removeSelectedCount': 'Remove selected ({count})',
+        'watchlist.removeConfirm': { one: 'Remove {count} title from your watchlist?', other: 'Remove {count} titles from your watchlist?' },
+        'watchlist.removing': 'Removing…',
+        'watchlist.removeFailed': 'Error — try again',
+        'watchlist.empty': 'Your watchlist is empty. Add titles from any detail page.',
+        'watchlist.noMatches': 'Nothing on your watchlist matches these filters.',
+        'watchlist.select': 'Select {title}',
+
+        'tonight.title': 'Pick something from my watchlist for tonight',
+        'tonight.placeholder': 'What\'s the mood? e.g. "light and funny, under two hours"',
+        'tonight.label': 'Describe your mood for tonight',
+        'tonight.picks': "Tonight's Picks",
+        'tonight.empty': 'Your watchlist is empty, so there is nothing to pick from yet.',
+
+        'lists.title': 'My Lists',
+        'lists.titleCount': { one: '{count} title', other: '{count} titles' },
+        'lists.none': 'You have no Trakt lists yet. Save a set of AI results from any search to create one.',
+        'lists.allLists': '← All lists',
+        'lists.fallbackName': 'List',
+        'lists.empty': 'This list is empty.',
+        'lists.save': 'Save as Trakt list',
+        'lists.nothingToSave': 'There are no results to save yet.',
+        'lists.namePrompt': 'Name your new Trakt list',
+        'lists.description': 'Saved from a pcinegpt search for "{query}".',
+        'lists.saved': { one: 'Saved {count} title to {list}.', other: 'Saved {count} titles to {list}.' },
+        'lists.saveFailed': 'Could not save the list. Please try again.',
+        'lists.addToList': 'Add to a list',
+        'lists.loading': 'Loading lists…',
+        'lists.choose': 'Choose a list…',
+        'lists.noLists': 'No lists yet',
+        'lists.unavailable': 'Lists unavailable',
+        'lists.adding': 'Adding…',
+        'lists.added': 'Added to {list}.',
+        'lists.addFailed': 'Could not add to the list. Please try again.',
+
+        'activity.rateStar': 'Rate {rating} out of 10',
+        'activity.markWatched': 'Mark as Watched',
+        'activity.yourRatingLabel': 'Your rating',
+        'activity.clear': 'Clear',
+        'activity.watchedTimes': { one: 'Watched {count} time', other: 'Watched {count} times' },
+        'activity.notWatched': 'Not watched yet',
+        'activity.yourRating': 'Your rating: {rating}/10',
+        'activity.notRated': 'Not rated',
+        'activity.saving': 'Saving…',
+        'activity.undo': 'Undo',
+        'activity.updateFailed': 'Could not update Trakt.',
+        'activity.reverted': 'Your change was reverted.',
+        'activity.markedWatched': 'Marked as watched.',
+        'activity.playRemoved': 'Play removed.',
+        'activity.rated': 'Rated {rating}/10.',
+        'activity.ratingRemoved': 'Rating removed.',
+        'activity.checkIn': 'Check In',
+        'activity.cancelCheckIn': 'Cancel Check-in',
+        'activity.checkedIn': 'Checked in. Trakt shows you as watching this now.',
+        'activity.checkInCancelled': 'Check-in cancelled.',
+        'activity.checkInFailed': 'Could not check in. You may already be checked in to something else.',
+
+        'poster.watched': 'Watched',
+        'poster.possibleMatch': 'Possible match',
+        'poster.matchConfidence': 'Match confidence {percent}',
+
+        'ai.provider': 'Provider',
+        'ai.model': 'Model',
+        'ai.serverModel': 'Proxy default',
+        'ai.baseUrl': 'Base URL',
+        'ai.temperature': 'Temperature',
+        'ai.apiKey': 'API key',
+        'ai.apiKeyPlaceholder': 'Optional, kept in this browser',
+
+        'stats.title': 'My Stats',
+        'stats.movies': 'Movies Watched',
+        'stats.shows': 'Shows Watched',
+        'stats.episodes': 'Episodes Watched',
+        'stats.totalTime': 'Total Time',
+        'stats.days': 'days',
+        'stats.asOf': 'As of {date}',
+        'stats.range': 'Range',
+        'stats.rangeYear': 'This year',
+        'stats.rangeAll': 'All time',
+        'stats.refresh': 'Refresh',
+        'stats.loadError': 'Could not load your viewing history.',
+        'stats.noActivity': 'Nothing watched or rated in this range yet.',
+        'stats.notEnoughData': 'Not enough data yet.',
+        'stats.activity': 'Viewing activity',
+        'stats.activityLastYear': 'Viewing activity, last 12 months',
+        'stats.playsOnDay': { one: '{count} play on {date}', other: '{count} plays on {date}' },
+        'stats.genresOverTime': 'Genres over time',
+        'stats.topActors': 'Top actors',
+        'stats.topDirectors': 'Top directors & creators',
+        'stats.ratings': 'Your ratings',
+        'stats.ratedCount': { one: '{count} title rated {rating}', other: '{count} titles rated {rating}' },
+        'stats.decades': 'Decades',
+        'stats.decade': '{decade}s',
+        'stats.playCount': { one: '{count} play', other: '{count} plays' },
+        'stats.ratingCount': { one: '{count} rating', other: '{count} ratings' },
+        'stats.updated': 'History updated {date}.',
+        'stats.countedInTitles': 'Charts count titles, so a show counts once however many episodes you watched.',
+        'stats.sampled': 'Genres, decades and people are based on your {count} most-watched titles.',
+
+        'settings.title': 'Settings',
+        'settings.general': 'General',
+        'settings.defaultMediaType': 'Search for',
+        'settings.numResults': 'Results per search',
+        'settings.imageQuality': 'Image quality',
+        'settings.quality.low': 'Low (saves data)',
+        'settings.quality.standard': 'Standard',
+        'settings.quality.high': 'High',
+        'settings.browserRegion': 'From my browser ({region})',
+        'settings.ai': 'AI',
+        'settings.safetyThreshold': 'Content safety',
+        'settings.safety.BLOCK_LOW_AND_ABOVE': 'Strict',
+        'settings.safety.BLOCK_MEDIUM_AND_ABOVE': 'Balanced',
+        'settings.safety.BLOCK_ONLY_HIGH': 'Relaxed',
+        'settings.safety.BLOCK_NONE': 'Off',
+        'settings.data': 'Your data',
+        'settings.dataHint': 'Export your settings, preferences and history as a JSON file to back them up or move them to another device. Your Trakt sign-in is not included.',
+        'settings.export': 'Export data',
+        'settings.import': 'Import data',
+        'settings.reset': 'Reset settings',
+        'settings.resetConfirm': 'Reset every setting to its default?',
+        'settings.importConfirm': 'Importing replaces your current settings and history with the ones in this file. Continue?',
+        'settings.importFailed': 'This file could not be imported. Choose a file exported from pcinegpt.',
+        'settings.saved': 'Saved.',
+
+        'offline.indicator': 'Offline',
+        'offline.indicatorLabel': 'You are offline. Previously viewed titles and saved searches still work.',
+        'offline.aiUnavailable': 'AI search needs an internet connection. Previously viewed titles and saved searches still work offline.',
+        'offline.placeholder': 'AI search is unavailable offline',
+        'offline.savedResults': 'You are offline, so these are the results saved on {date}.',
+        'offline.noSavedResults': 'You are offline and this search has no saved results. It will run when you are back online.',
+
+        'update.available': 'A new version of pcinegpt is available.',
+        'update.reload': 'Reload',
+        'update.dismiss': 'Later',
+    },
+
+    'de-DE': {
+        'nav.watchlist': 'Merkliste',
+        'nav.lists': 'Listen',
+        'nav.stats': 'Meine Statistik',
+        'nav.settings': 'Einstellungen',
+        'nav.connectTrakt': 'Mit Trakt verbinden',
+        'nav.logoutTrakt': 'Von Trakt abmelden',
+        'nav.toggleTheme': 'Zwischen hellem und dunklem Design wechseln',
+        'nav.language': 'Sprache',
+
+        'home.title': 'Dein Film-Navigator im Gespräch',
+        'home.subtitle': 'Sag mir, worauf du Lust hast. Ein Genre, ein Schauspieler, eine Stimmung – alles geht.',
+        'home.placeholder': 'z. B. „Weltraum-Epen wie Dune“',
+        'home.searchLabel': 'Nach Filmen und Serien suchen',
+        'home.chipSciFi': 'Science-Fiction',
+        'home.chipSciFiQuery': 'Science-Fiction-Filme, die das Gehirn verknoten',
+        'home.chipMysteries': 'Krimis',
+        'home.chipMysteriesQuery': 'gemütliche Krimiserien',
+        'home.chipDramas': 'Dramen',
+        'home.chipDramasQuery': 'oscarprämierte Dramen aus den 90ern',
+
+        'carousel.trendingMovies': 'Angesagte Filme',
+        'carousel.trendingTv': 'Angesagte Serien',
+        'carousel.topRatedMovies': 'Bestbewertete Filme',
+        'carousel.topRatedTv': 'Bestbewertete Serien',
+        'carousel.personalized': 'Passend zu deinen Top-Bewertungen',
+        'carousel.error': 'Diese Reihe konnte gerade nicht geladen werden.',
+
+        'errors.loadContent': 'Inhalte konnten nicht geladen werden. Bitte prüfe deine Verbindung und versuche es erneut.',
+        'errors.generic': 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+        'errors.serviceAI': 'Der KI-Dienst',
+        'errors.serviceServer': 'Der Server',
+        'errors.rateLimited': '{service} erhält gerade zu viele Anfragen. Bitte warte einen Moment und versuche es erneut.',
+        'errors.traktSession': 'Deine Trakt-Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+        'errors.auth': '{service} hat die Anfrage abgelehnt. Prüfe, ob ein gültiger API-Schlüssel eingerichtet ist.',
+        'errors.notFound': 'Wir konnten nicht finden, wonach du suchst. Vielleicht wurde es entfernt.',
+        'errors.network': '{service} ist nicht erreichbar. Bitte prüfe deine Verbindung und versuche es erneut.',
+        'errors.server': '{service} hat gerade Probleme. Bitte versuche es gleich noch einmal.',
+        'errors.aiFormat': 'Die KI hat ihre Empfehlungen in einem unerwarteten Format geliefert. Bitte versuche es erneut.',
+        'errors.aiUnreachable': 'Der KI-Dienst ist nicht erreichbar. Bitte prüfe deine Verbindung und versuche es erneut.',
+        'errors.startup': 'Die App konnte nicht starten. Bitte lade die Seite neu.',
+        'errors.short': 'Fehler',
+
+        'detail.whyThisPick': 'Warum dieser Tipp',
+        'detail.seasonCount': { one: '{count} Staffel', other: '{count} Staffeln' },
+        'detail.episodeCount': { one: '{count} Folge', other: '{count} Folgen' },
+        'detail.runtime': '{minutes} Min.',
+        'detail.addToWatchlist': 'Zur Merkliste',
+        'detail.inWatchlist': 'Auf der Merkliste',
+        'detail.trailer': 'Trailer',
+        'detail.trailerTitle': 'Trailer zu {title}',
+        'detail.cast': 'Besetzung',
+        'detail.seasons': 'Staffeln',
+        'detail.moreLikeThis': 'Mehr davon',
+        'detail.recommendedByTmdb': 'Von TMDB empfohlen',
+        'detail.similarVibe': 'Eine ähnliche Stimmung',
+        'detail.similarVibeEmpty': 'Die KI hat diesmal nichts mit einer ähnlichen Stimmung gefunden.',
+
+        'person.readMore': 'Weiterlesen',
+        'person.noBiography': 'Keine Biografie verfügbar.',
+        'person.born': 'Geboren am {date}',
+        'person.bornIn': 'Geboren am {date} in {place}',
+        'person.died': 'Gestorben am {date}',
+        'person.underratedWorks': 'Unterschätzte Werke',
+        'person.filmography': 'Filmografie',
+        'person.sortLabel': 'Filmografie sortieren',
+        'person.noCredits': 'Keine Mitwirkungen gefunden.',
+        'person.noDeepCuts': 'Zu wenige Mitwirkungen, um Geheimtipps zu finden.',
+
+        'watch.onlyMyServices': 'Nur bei meinen Diensten',
+        'watch.whereToWatch': 'Wo läuft das?',
+        'watch.region': 'Region',
+        'watch.myServices': 'Meine Streamingdienste',
+        'watch.stream': 'Streamen',
+        'watch.free': 'Kostenlos',
+        'watch.ads': 'Mit Werbung',
+        'watch.rent': 'Leihen',
+        'watch.buy': 'Kaufen',
+        'watch.allOffers': 'Alle Angebote',
+        'watch.attribution': 'Verfügbarkeitsdaten von JustWatch',
+        'watch.unavailable': 'In dieser Region weder im Stream noch zum Leihen oder Kaufen verfügbar.',
+        'watch.loadFailed': 'Verfügbarkeit konnte nicht geladen werden.',
+        'watch.servicesFailed': 'Streamingdienste konnten nicht geladen werden.',
+
+        'sort.sortBy': 'Sortieren nach',
+        'sort.year': 'Jahr',
+        'sort.rating': 'Bewertung',
+        'sort.dateAdded': 'Hinzugefügt',
+        'sort.releaseYear': 'Erscheinungsjahr',
+
+        'filters.label': 'Suchfilter',
+        'filters.type': 'Art',
+        'filters.anyType': 'Filme & Serien',
+        'filters.movies': 'Filme',
+        'filters.tv': 'Serien',
+        'filters.from': 'Von',
+        'filters.to': 'Bis',
+        'filters.yearPlaceholder': 'Jahr',
+        'filters.maxRuntime': 'Max. Laufzeit',
+        'filters.minutesPlaceholder': 'Min.',
+        'filters.language': 'Sprache',
+        'filters.any': 'Alle',
+        'filters.minRating': 'Mindestbewertung',
+        'filters.apply': 'Anwenden',
+        'filters.clear': 'Zurücksetzen',
+
+        'search.title': 'Ergebnisse für „{query}“',
+        'search.refinePlaceholder': 'Ergebnisse verfeinern, z. B. „düsterer“, „nur aus den 80ern“, „kein Anime“',
+        'search.refineLabel': 'Diese Ergebnisse verfeinern',
+        'search.aiRecommendations': 'KI-Empfehlungen',
+        'search.refinedRecommendations': 'Verfeinerte Empfehlungen',
+        'search.noneOnServices': 'Nichts davon läuft bei deinen Diensten. Schalte „Nur bei meinen Diensten“ aus, um alles zu sehen.',
+        'search.allWatched': 'Du hast all diese Titel schon gesehen. Schalte „Gesehene Titel anzeigen“ ein, um sie zu sehen.',
+        'search.noneMatchFilters': 'Keine der KI-Empfehlungen passt zu deinen Filtern. Lockere sie oder formuliere deine Anfrage um.',
+        'search.noneMatched': 'Keine der KI-Empfehlungen konnte einem Titel zugeordnet werden. Formuliere deine Anfrage um.',
+        'search.showWatched': 'Gesehene Titel anzeigen',
+
+        'history.recent': 'Letzte Suchen',
+        'history.savedResults': 'Gespeicherte Ergebnisse anzeigen',
+        'history.snapshotTitle': 'Gespeicherte Ergebnisse für „{query}“',
+        'history.searchedAt': 'Gesucht am {date}',
+        'history.rerun': 'Erneut suchen',
+        'history.pin': 'Auf der Startseite anheften',
+        'history.unpin': 'Lösen',
+        'history.remove': 'Aus dem Verlauf entfernen',
+        'history.clear': 'Verlauf löschen',
+        'history.clearConfirm': 'Suchverlauf löschen? Angeheftete Suchen bleiben erhalten.',
+        'history.notFound': 'Diese gespeicherte Suche ist nicht mehr in deinem Verlauf.',
+
+        'watchlist.title': 'Meine Merkliste',
+        'watchlist.toolbarLabel': 'Merkliste sortieren und filtern',
+        'watchlist.genre': 'Genre',
+        'watchlist.allGenres': 'Alle Genres',
+        'watchlist.removeSelected': 'Auswahl entfernen',
+        'watchlist.removeSelectedCount': 'Auswahl entfernen ({count})',
+        'watchlist.removeConfirm': { one: '{count} Titel von deiner Merkliste entfernen?', other: '{count} Titel von deiner Merkliste entfernen?' },
+        'watchlist.removing': 'Wird entfernt…',
+        'watchlist.removeFailed': 'Fehler – erneut versuchen',
+        'watchlist.empty': 'Deine Merkliste ist leer. Füge Titel auf einer beliebigen Detailseite hinzu.',
+        'watchlist.noMatches': 'Nichts auf deiner Merkliste passt zu diesen Filtern.',
+        'watchlist.select': '{title} auswählen',
+
+        'tonight.title': 'Such mir etwas von meiner Merkliste für heute Abend aus',
+        'tonight.placeholder': 'Worauf hast du Lust? z. B. „locker und lustig, unter zwei Stunden“',
+        'tonight.label': 'Beschreibe deine Stimmung für heute Abend',
+        'tonight.picks': 'Tipps für heute Abend',
+        'tonight.empty': 'Deine Merkliste ist leer, es gibt also noch nichts zum Aussuchen.',
+
+        'lists.title': 'Meine Listen',
+        'lists.titleCount': { one: '{count} Titel', other: '{count} Titel' },
+        'lists.none': 'Du hast noch keine Trakt-Listen. Speichere KI-Ergebnisse aus einer Suche, um eine anzulegen.',
+        'lists.allLists': '← Alle Listen',
+        'lists.fallbackName': 'Liste',
+        'lists.empty': 'Diese Liste ist leer.',
+        'lists.save': 'Als Trakt-Liste speichern',
+        'lists.nothingToSave': 'Es gibt noch keine Ergebnisse zum Speichern.',
+        'lists.namePrompt': 'Name deiner neuen Trakt-Liste',
+        'lists.description': 'Gespeichert aus einer pcinegpt-Suche nach „{query}“.',
+        'lists.saved': { one: '{count} Titel in {list} gespeichert.', other: '{count} Titel in {list} gespeichert.' },
+        'lists.saveFailed': 'Die Liste konnte nicht gespeichert werden. Bitte versuche es erneut.',
+        'lists.addToList': 'Zu einer Liste hinzufügen',
+        'lists.loading': 'Listen werden geladen…',
+        'lists.choose': 'Liste auswählen…',
+        'lists.noLists': 'Noch keine Listen',
+        'lists.unavailable': 'Listen nicht verfügbar',
+        'lists.adding': 'Wird hinzugefügt…',
+        'lists.added': 'Zu {list} hinzugefügt.',
+        'lists.addFailed': 'Konnte nicht zur Liste hinzugefügt werden. Bitte versuche es erneut.',
+
+        'activity.rateStar': 'Mit {rating} von 10 bewerten',
+        'activity.markWatched': 'Als gesehen markieren',
+        'activity.yourRatingLabel': 'Deine Bewertung',
+        'activity.clear': 'Entfernen',
+        'activity.watchedTimes': { one: '{count}-mal gesehen', other: '{count}-mal gesehen' },
+        'activity.notWatched': 'Noch nicht gesehen',
+        'activity.yourRating': 'Deine Bewertung: {rating}/10',
+        'activity.notRated': 'Nicht bewertet',
+        'activity.saving': 'Wird gespeichert…',
+        'activity.undo': 'Rückgängig',
+        'activity.updateFailed': 'Trakt konnte nicht aktualisiert werden.',
+        'activity.reverted': 'Deine Änderung wurde zurückgenommen.',
+        'activity.markedWatched': 'Als gesehen markiert.',
+        'activity.playRemoved': 'Wiedergabe entfernt.',
+        'activity.rated': 'Mit {rating}/10 bewertet.',
+        'activity.ratingRemoved': 'Bewertung entfernt.',
+        'activity.checkIn': 'Einchecken',
+        'activity.cancelCheckIn': 'Check-in abbrechen',
+        'activity.checkedIn': 'Eingecheckt. Trakt zeigt, dass du das gerade schaust.',
+        'activity.checkInCancelled': 'Check-in abgebrochen.',
+        'activity.checkInFailed': 'Einchecken fehlgeschlagen. Vielleicht bist du schon bei etwas anderem eingecheckt.',
+
+        'poster.watched': 'Gesehen',
+        'poster.possibleMatch': 'Mögliche Übereinstimmung',
+        'poster.matchConfidence': 'Übereinstimmung {percent}',
+
+        'ai.provider': 'Anbieter',
+        'ai.model': 'Modell',
+        'ai.serverModel': 'Standard des Proxys',
+        'ai.baseUrl': 'Basis-URL',
+        'ai.temperature': 'Temperatur',
+        'ai.apiKey': 'API-Schlüssel',
+        'ai.apiKeyPlaceholder': 'Optional, bleibt in diesem Browser',
+
+        'stats.title': 'Meine Statistik',
+        'stats.movies': 'Gesehene Filme',
+        'stats.shows': 'Gesehene Serien',
+        'stats.episodes': 'Gesehene Folgen',
+        'stats.totalTime': 'Gesamtzeit',
+        'stats.days': 'Tage',
+        'stats.asOf': 'Stand: {date}',
+        'stats.range': 'Zeitraum',
+        'stats.rangeYear': 'Dieses Jahr',
+        'stats.rangeAll': 'Gesamter Zeitraum',
+        'stats.refresh': 'Aktualisieren',
+        'stats.loadError': 'Dein Verlauf konnte nicht geladen werden.',
+        'stats.noActivity': 'In diesem Zeitraum hast du noch nichts gesehen oder bewertet.',
+        'stats.notEnoughData': 'Noch nicht genug Daten.',
+        'stats.activity': 'Aktivität',
+        'stats.activityLastYear': 'Aktivität der letzten 12 Monate',
+        'stats.playsOnDay': { one: '{count} Wiedergabe am {date}', other: '{count} Wiedergaben am {date}' },
+        'stats.genresOverTime': 'Genres im Zeitverlauf',
+        'stats.topActors': 'Häufigste Besetzung',
+        'stats.topDirectors': 'Häufigste Regie & Serienidee',
+        'stats.ratings': 'Deine Bewertungen',
+        'stats.ratedCount': { one: '{count} Titel mit {rating} bewertet', other: '{count} Titel mit {rating} bewertet' },
+        'stats.decades': 'Jahrzehnte',
+        'stats.decade': '{decade}er',
+        'stats.playCount': { one: '{count} Wiedergabe', other: '{count} Wiedergaben' },
+        'stats.ratingCount': { one: '{count} Bewertung', other: '{count} Bewertungen' },
+        'stats.updated': 'Verlauf aktualisiert: {date}.',
+        'stats.countedInTitles': 'Die Diagramme zählen Titel: Eine Serie zählt einmal, egal wie viele Folgen du gesehen hast.',
+        'stats.sampled': 'Genres, Jahrzehnte und Personen beruhen auf deinen {count} meistgesehenen Titeln.',
+
+        'settings.title': 'Einstellungen',
+        'settings.general': 'Allgemein',
+        'settings.defaultMediaType': 'Suchen nach',
+        'settings.numResults': 'Ergebnisse pro Suche',
+        'settings.imageQuality': 'Bildqualität',
+        'settings.quality.low': 'Niedrig (spart Daten)',
+        'settings.quality.standard': 'Standard',
+        'settings.quality.high': 'Hoch',
+        'settings.browserRegion': 'Vom Browser ({region})',
+        'settings.ai': 'KI',
+        'settings.safetyThreshold': 'Inhaltsfilter',
+        'settings.safety.BLOCK_LOW_AND_ABOVE': 'Streng',
+        'settings.safety.BLOCK_MEDIUM_AND_ABOVE': 'Ausgewogen',
+        'settings.safety.BLOCK_ONLY_HIGH': 'Locker',
+        'settings.safety.BLOCK_NONE': 'Aus',
+        'settings.data': 'Deine Daten',
+        'settings.dataHint': 'Exportiere Einstellungen, Vorlieben und Verlauf als JSON-Datei, um sie zu sichern oder auf ein anderes Gerät zu übertragen. Deine Trakt-Anmeldung ist nicht enthalten.',
+        'settings.export': 'Daten exportieren',
+        'settings.import': 'Daten importieren',
+        'settings.reset': 'Einstellungen zurücksetzen',
+        'settings.resetConfirm': 'Alle Einstellungen auf die Standardwerte zurücksetzen?',
+        'settings.importConfirm': 'Der Import ersetzt deine aktuellen Einstellungen und deinen Verlauf durch die aus dieser Datei. Fortfahren?',
+        'settings.importFailed': 'Diese Datei konnte nicht importiert werden. Wähle eine aus pcinegpt exportierte Datei.',
+        'settings.saved': 'Gespeichert.',
+
+        'offline.indicator': 'Offline',
+        'offline.indicatorLabel': 'Du bist offline. Bereits angesehene Titel und gespeicherte Suchen funktionieren weiterhin.',
+        'offline.aiUnavailable': 'Die KI-Suche braucht eine Internetverbindung. Bereits angesehene Titel und gespeicherte Suchen funktionieren auch offline.',
+        'offline.placeholder': 'KI-Suche ist offline nicht verfügbar',
+        'offline.savedResults': 'Du bist offline, daher siehst du die am {date} gespeicherten Ergebnisse.',
+        'offline.noSavedResults': 'Du bist offline und für diese Suche gibt es keine gespeicherten Ergebnisse. Sie startet, sobald du wieder online bist.',
+
+        'update.available': 'Eine neue Version von pcinegpt ist verfügbar.',
+        'update.reload': 'Neu laden',
+        'update.dismiss': 'Später',
+    },
+};
+
+let currentLocale = resolveLocale(storage.getLocale());
+
+
+// --- Locale ---
+
+/**
+ * Picks a supported locale: the saved one, else the browser's language, else English.
+ * @param {string|null} saved - The saved locale, if any.
+ * @returns {string} A key of `LOCALES`.
+ */
+function resolveLocale(saved) {
+    if (LOCALES[saved]) return saved;
+    const browserLanguage = (navigator.language || '').split('-')[0];
+    return Object.keys(LOCALES).find(locale => locale.split('-')[0] === browserLanguage) || DEFAULT_LOCALE;
+}
+
+/**
+ * @returns {string} The active locale (e.g. 'en-US').
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switches and persists the active locale. Unsupported locales are ignored.
+ * @param {string} locale - A key of `LOCALES`.
+ */
+export function setLocale(locale) {
+    if (!LOCALES[locale]) return;
+    currentLocale = locale;
+    storage.saveLocale(locale);
+    document.documentElement.lang = locale;
+}
+
+/**
+ * @returns {string} The active locale's ISO 3166-1 region (e.g. 'US').
+ */
+export function getLocaleRegion() {
+    return LOCALES[currentLocale].region;
+}
+
+/**
+ * Names the active locale's language in English, for AI prompts (e.g. 'German (Germany)').
+ * @returns {string} The language name.
+ */
+export function getLanguageName() {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(currentLocale) || currentLocale;
+}
+
+
+// --- Messages & Formatting ---
+
+/**
+ * Looks up a UI string in the active locale, falling back to English and then to the key itself.
+ * `{name}` placeholders are replaced from `params`; a numeric `count` selects the plural form
+ * and is formatted for the locale.
+ * @param {string} key - The message key (e.g. 'home.title').
+ * @param {object} [params={}] - Placeholder values.
+ * @returns {string} The translated string. Not HTML-escaped.
+ */
+export function t(key, params = {}) {
+    let message = catalogs[currentLocale][key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(currentLocale).select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+/**
+ * Formats a number for the active locale.
+ * @param {number} value - The number.
+ * @param {Intl.NumberFormatOptions} [options] - Formatting options.
+ * @returns {string} The formatted number.
+ */
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Formats a date for the active locale. Date-only strings ('2024-05-01') are read as calendar
+ * dates, so they never shift a day across time zones.
+ * @param {Date|string} value - A Date or an ISO date string.
+ * @param {Intl.DateTimeFormatOptions} [options={ dateStyle: 'long' }] - Formatting options.
+ * @returns {string} The formatted date, or the input unchanged if it is not a valid date.
+ */
+export function formatDate(value, options = { dateStyle: 'long' }) {
+    const isDateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = isDateOnly ? new Date(`${value}T00:00:00Z`) : new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return new Intl.DateTimeFormat(currentLocale, isDateOnly ? { ...options, timeZone: 'UTC' } : options).format(date);
+}
@@ -0,0 +1,70 @@
+// Generated by server/build-precache.mjs. Do not edit by hand.
+self.PRECACHE_MANIFEST = {
+    "version": "ae4a780da92c",
+    "entries": [
+        {
+            "url": "/",
+            "revision": "7ca29d63aa9c"
+        },
+        {
+            "url": "/index.html",
+            "revision": "7ca29d63aa9c"
+        },
+        {
+            "url": "/main.css",
+            "revision": "f8805eeac0e9"
+        },
+        {
+            "url": "/app.js",
+            "revision": "4e76d3643125"
+        },
+        {
+            "url": "/api.js",
+            "revision": "3923f7b79720"
+        },
+        {
+            "url": "/gemini.js",
+            "revision": "51c993f3a0ba"
+        },
+        {
+            "url": "/trakt.js",
+            "revision": "2b56281375d8"
+        },
+        {
+            "url": "/storage.js",
+            "revision": "8e0c914848ea"
+        },
+        {
+            "url": "/config.js",
+            "revision": "f072de7b53e6"
+        },
+        {
+            "url": "/http.js",
+            "revision": "ab3fe709bed0"
+        },
+        {
+            "url": "/ai-providers.js",
+            "revision": "af76b540d378"
+        },
+        {
+            "url": "/i18n.js",
+            "revision": "63045cf1f51e"
+        },
+        {
+            "url": "/charts.js",
+            "revision": "459cd174e4c9"
+        },
+        {
+            "url": "/taste-profile.js",
+            "revision": "6187a0775c63"
+        },
+        {
+            "url": "/manifest.json",
+            "revision": "10bea2de51ca"
+        },
+        {
+            "url": "https://unpkg.com/lucide@0.460.0/dist/umd/lucide.min.js",
+            "revision": null
+        }
+    ]
+};
@@ -0,0 +1,93 @@
+/*
+================================================================
+BUILD-PRECACHE.MJS - AWWWARDS REBUILD 2025 (PRECACHE MANIFEST GENERATOR)
+- Dependency-free Node (18+) script that hashes every app shell file.
+- Writes precache-manifest.js, which the service worker imports at startup.
+- Any change to a shell file changes the manifest, so browsers install the new
+  service worker and offer the update instead of serving a stale shell forever.
+
+Usage (run before every deploy):
+    node server/build-precache.mjs
+================================================================
+*/
+
+import { createHash } from 'node:crypto';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_FILE = 'precache-manifest.js';
+
+// Local files that make up the app's user interface, relative to the site root.
+const SHELL_FILES = [
+    'index.html',
+    'main.css',
+    'app.js',
+    'api.js',
+    'gemini.js',
+    'trakt.js',
+    'storage.js',
+    'config.js',
+    'http.js',
+    'ai-providers.js',
+    'i18n.js',
+    'charts.js',
+    'taste-profile.js',
+    'manifest.json',
+];
+// Every file in these directories is precached too.
+const SHELL_DIRECTORIES = ['icons'];
+
+// Third-party scripts are pinned to exact versions, so the URL itself is the revision.
+// Keep these in sync with index.html.
+const EXTERNAL_URLS = [
+    'https://unpkg.com/lucide@0.460.0/dist/umd/lucide.min.js',
+];
+
+
+// --- Helpers ---
+
+/**
+ * @param {Buffer|string} content The data to hash.
+ * @returns {string} A short SHA-256 content hash.
+ */
+function hash(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Lists the files in a shell directory; a missing directory contributes nothing.
+ * @param {string} directory The directory, relative to the site root.
+ * @returns {Promise<string[]>} File paths relative to the site root.
+ */
+async function listDirectory(directory) {
+    try {
+        const entries = await readdir(join(ROOT, directory), { withFileTypes: true });
+        return entries.filter(entry => entry.isFile()).map(entry => `${directory}/${entry.name}`).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+
+// --- Manifest ---
+
+async function buildManifest() {
+    const files = [...SHELL_FILES, ...(await Promise.all(SHELL_DIRECTORIES.map(listDirectory))).flat()];
+    const entries = await Promise.all(files.map(async file => ({ url: `/${file}`, revision: hash(await readFile(join(ROOT, file))) })));
+
+    // The site root serves index.html, so it shares that file's revision.
+    const index = entries.find(entry => entry.url === '/index.html');
+    entries.unshift({ url: '/', revision: index.revision });
+    entries.push(...EXTERNAL_URLS.map(url => ({ url, revision: null })));
+
+    const version = hash(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'));
+    return { version, entries };
+}
+
+const manifest = await buildManifest();
+const source = `// Generated by server/build-precache.mjs. Do not edit by hand.\nself.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`;
+await writeFile(join(ROOT, OUTPUT_FILE), source);
+console.log(`Wrote ${OUTPUT_FILE}: version ${manifest.version}, ${manifest.entries.length} entries.`);
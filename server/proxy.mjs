@@ -0,0 +1,250 @@
+/*
+================================================================
+PROXY.MJS - AWWWARDS REBUILD 2025 (SECURE BACKEND PROXY)
+- Dependency-free Node (18+) server that keeps every API secret off the client.
+- Reads TMDB, Gemini and Trakt credentials from environment configuration.
+- Exposes /tmdb/*, /ai/recommend (plus /ai/recommend/stream) and /trakt/* routes for the browser app.
+- Listens on loopback only and serves just the app's own origin, so other sites and
+  other machines cannot spend the keys.
+
+Usage:
+    node --env-file=.env server/proxy.mjs
+================================================================
+*/
+
+import http from 'node:http';
+import { Readable, pipeline } from 'node:stream';
+
+// Where index.html is served from during local development.
+const DEFAULT_APP_ORIGINS = 'http://localhost:8080,http://127.0.0.1:8080';
+
+// --- Configuration (from environment) ---
+const config = {
+    port: Number(process.env.PORT) || 8787,
+    host: process.env.HOST || '127.0.0.1',
+    // Comma-separated app origins; '*' lets any website use the proxy (and its keys).
+    allowedOrigins: (process.env.ALLOWED_ORIGIN || DEFAULT_APP_ORIGINS).split(',').map(origin => origin.trim()).filter(Boolean),
+    tmdbApiKey: process.env.TMDB_API_KEY,
+    geminiApiKey: process.env.GEMINI_API_KEY,
+    geminiModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash-latest',
+    traktClientId: process.env.TRAKT_CLIENT_ID,
+    traktClientSecret: process.env.TRAKT_CLIENT_SECRET,
+};
+
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const TRAKT_API_URL = 'https://api.trakt.tv';
+const TRAKT_AUTHORIZE_URL = 'https://trakt.tv/oauth/authorize';
+
+// Upstream response headers that are safe to pass back to the browser.
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'retry-after', 'x-pagination-page', 'x-pagination-page-count', 'x-pagination-item-count'];
+
+
+// --- Helpers ---
+
+/**
+ * Decides whether a request comes from the app (or from a non-browser client on this machine).
+ * Browsers send Origin on every cross-origin fetch, but leave it off same-origin GETs, top-level
+ * navigations and cross-site <img>/<script> loads; Sec-Fetch-Site tells those apart.
+ * @param {http.IncomingMessage} req The incoming request.
+ * @param {URL} url The parsed request URL.
+ * @returns {boolean} Whether the proxy may serve the request.
+ */
+function isRequestAllowed(req, url) {
+    if (config.allowedOrigins.includes('*')) return true;
+    const origin = req.headers.origin;
+    if (origin) return config.allowedOrigins.includes(origin);
+
+    const site = req.headers['sec-fetch-site'];
+    if (!site || site === 'same-origin' || site === 'none') return true;
+    // The Trakt sign-in redirect is opened as a page, so it arrives without an Origin.
+    return req.headers['sec-fetch-mode'] === 'navigate' && url.pathname === '/trakt/oauth/authorize';
+}
+
+/**
+ * Applies the CORS headers the browser app needs to talk to this proxy.
+ * @param {http.IncomingMessage} req The incoming request.
+ * @param {http.ServerResponse} res The outgoing response.
+ */
+function setCorsHeaders(req, res) {
+    const origin = req.headers.origin;
+    if (config.allowedOrigins.includes('*')) res.setHeader('Access-Control-Allow-Origin', '*');
+    else if (origin && config.allowedOrigins.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', FORWARDED_RESPONSE_HEADERS.join(', '));
+    res.setHeader('Vary', 'Origin');
+}
+
+/**
+ * Sends a JSON error body in the same shape the upstream APIs use.
+ * @param {http.ServerResponse} res The outgoing response.
+ * @param {number} status The HTTP status code.
+ * @param {string} message A human-readable error message.
+ */
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message }, status_message: message }));
+}
+
+/**
+ * Buffers the incoming request body as a string.
+ * @param {http.IncomingMessage} req The incoming request.
+ * @returns {Promise<string>} The raw request body.
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Streams an upstream fetch Response back to the client, preserving status and safe headers.
+ * If the upstream connection resets or the client goes away mid-body, the response is torn
+ * down and the error logged, instead of crashing the proxy.
+ * @param {Response} upstream The response returned by `fetch`.
+ * @param {http.ServerResponse} res The outgoing response.
+ */
+function pipeUpstream(upstream, res) {
+    const headers = {};
+    FORWARDED_RESPONSE_HEADERS.forEach(name => {
+        const value = upstream.headers.get(name);
+        if (value) headers[name] = value;
+    });
+    res.writeHead(upstream.status, headers);
+    if (upstream.body) {
+        pipeline(Readable.fromWeb(upstream.body), res, error => {
+            if (!error) return;
+            console.error('[Proxy] Relaying the upstream response failed:', error.message);
+            res.destroy(error);
+        });
+    } else {
+        res.end();
+    }
+}
+
+
+// --- Route Handlers ---
+
+/**
+ * GET /tmdb/* -> TMDB v3, with the API key appended server-side.
+ */
+async function handleTmdb(req, res, url) {
+    if (!config.tmdbApiKey) return sendError(res, 500, 'TMDB_API_KEY is not configured on the proxy.');
+    if (req.method !== 'GET') return sendError(res, 405, 'Only GET is supported for TMDB routes.');
+
+    const target = new URL(`${TMDB_API_URL}${url.pathname.slice('/tmdb'.length)}`);
+    url.searchParams.forEach((value, key) => target.searchParams.append(key, value));
+    target.searchParams.set('api_key', config.tmdbApiKey);
+
+    pipeUpstream(await fetch(target), res);
+}
+
+/**
+ * POST /ai/recommend[?model=] -> Gemini generateContent, with the key added server-side.
+ * POST /ai/recommend/stream[?model=] -> streamGenerateContent, relayed as Server-Sent Events.
+ */
+async function handleAiRecommend(req, res, url, { stream = false } = {}) {
+    if (!config.geminiApiKey) return sendError(res, 500, 'GEMINI_API_KEY is not configured on the proxy.');
+    if (req.method !== 'POST') return sendError(res, 405, 'Only POST is supported for AI routes.');
+
+    // The app may pick a model at runtime; anything else falls back to the configured default.
+    const model = url.searchParams.get('model') || config.geminiModel;
+    if (!/^[\w.-]+$/.test(model)) return sendError(res, 400, `Invalid model name: ${model}`);
+
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    const upstream = await fetch(`${GEMINI_API_URL}/${model}:${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.geminiApiKey },
+        body: await readBody(req),
+    });
+    pipeUpstream(upstream, res);
+}
+
+/**
+ * /trakt/* -> Trakt API. Handles the OAuth redirect and token exchange specially so the
+ * client ID and secret never reach the browser; everything else is forwarded as-is.
+ */
+async function handleTrakt(req, res, url) {
+    if (!config.traktClientId) return sendError(res, 500, 'TRAKT_CLIENT_ID is not configured on the proxy.');
+    const path = url.pathname.slice('/trakt'.length);
+
+    if (path === '/oauth/authorize') {
+        const target = new URL(TRAKT_AUTHORIZE_URL);
+        url.searchParams.forEach((value, key) => target.searchParams.append(key, value));
+        target.searchParams.set('client_id', config.traktClientId);
+        res.writeHead(302, { Location: target.toString() });
+        res.end();
+        return;
+    }
+
+    if (path === '/oauth/token' || path === '/oauth/revoke') {
+        let payload;
+        try {
+            payload = JSON.parse((await readBody(req)) || '{}');
+        } catch {
+            return sendError(res, 400, 'The OAuth request body is not valid JSON.');
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return sendError(res, 400, 'The OAuth request body must be a JSON object.');
+        }
+        payload.client_id = config.traktClientId;
+        if (config.traktClientSecret) payload.client_secret = config.traktClientSecret;
+        const upstream = await fetch(`${TRAKT_API_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        pipeUpstream(upstream, res);
+        return;
+    }
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'trakt-api-version': '2',
+        'trakt-api-key': config.traktClientId,
+    };
+    if (req.headers.authorization) headers.Authorization = req.headers.authorization;
+
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+    const upstream = await fetch(`${TRAKT_API_URL}${path}${url.search}`, {
+        method: req.method,
+        headers,
+        body: hasBody ? await readBody(req) : undefined,
+    });
+    pipeUpstream(upstream, res);
+}
+
+
+// --- Server ---
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    setCorsHeaders(req, res);
+    if (!isRequestAllowed(req, url)) {
+        console.warn(`[Proxy] Rejected ${req.method} ${url.pathname} from ${req.headers.origin || 'a cross-site page'}.`);
+        return sendError(res, 403, 'This origin is not allowed to use the proxy. Add it to ALLOWED_ORIGIN.');
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    try {
+        if (url.pathname.startsWith('/tmdb/')) return await handleTmdb(req, res, url);
+        if (url.pathname === '/ai/recommend') return await handleAiRecommend(req, res, url);
+        if (url.pathname === '/ai/recommend/stream') return await handleAiRecommend(req, res, url, { stream: true });
+        if (url.pathname.startsWith('/trakt/')) return await handleTrakt(req, res, url);
+        sendError(res, 404, `No proxy route for ${url.pathname}`);
+    } catch (error) {
+        console.error(`[Proxy] ${req.method} ${url.pathname} failed:`, error);
+        if (!res.headersSent) sendError(res, 502, 'Upstream request failed.');
+        else res.end();
+    }
+});
+
+server.listen(config.port, config.host, () => {
+    console.log(`[Proxy] Listening on http://${config.host}:${config.port} for ${config.allowedOrigins.join(', ')}`);
+});
@@ -4,44 +4,70 @@ SERVICE-WORKER.JS - AWWWARDS REBUILD 2025 (ENHANCED & ROBUST)
 - Implements a robust caching strategy for offline availability.
 - Caches the app shell and API data for a seamless, instant experience.
 - Refined fetch logic to avoid caching dynamic AI responses.
+- Keeps viewed TMDB data and poster images for offline browsing, each within a budget,
+  and serves trending lists stale-while-revalidate.
+- Precaches a content-hashed manifest; new versions wait until the page asks them to take over.
 ================================================================
 */
 
-const APP_CACHE_NAME = 'pcinegpt-shell-v3';
+// The precache manifest (every shell file with a content hash) is generated by server/build-precache.mjs.
+importScripts('/precache-manifest.js');
+const { version: PRECACHE_VERSION, entries: PRECACHE_ENTRIES } = self.PRECACHE_MANIFEST;
+
+const SHELL_CACHE_PREFIX = 'pcinegpt-shell-';
+const APP_CACHE_NAME = `${SHELL_CACHE_PREFIX}${PRECACHE_VERSION}`;
 const DATA_CACHE_NAME = 'pcinegpt-data-v3';
+const IMAGE_CACHE_NAME = 'pcinegpt-images-v1';
+const FONT_CACHE_NAME = 'pcinegpt-fonts-v1';
+
+// Budgets for the runtime caches; the oldest entries are evicted first.
+const MAX_DATA_CACHE_ENTRIES = 400;
+const MAX_IMAGE_CACHE_BYTES = 60 * 1024 * 1024;
+const IMAGE_SIZE_HEADER = 'X-Pcinegpt-Size';
+const REVISION_HEADER = 'X-Pcinegpt-Revision';
+const TRIM_DELAY = 5000; // ms; batches evictions after a burst of new entries
+
+// Local shell files are keyed by path, pinned third-party assets by full URL.
+const PRECACHE_URLS = new Set(PRECACHE_ENTRIES.map(entry => entry.url));
+
+// Fontshare serves an unversioned stylesheet, so fonts are cached at runtime rather than precached.
+const FONT_HOSTS = ['api.fontshare.com', 'cdn.fontshare.com'];
+
+/**
+ * Finds an entry with the same revision in an older shell cache, so unchanged files are not downloaded again.
+ */
+async function findPrecachedRevision(entry) {
+    if (!entry.revision) return undefined;
+    const shellCaches = (await caches.keys()).filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== APP_CACHE_NAME);
+    for (const name of shellCaches) {
+        const cached = await (await caches.open(name)).match(entry.url);
+        if (cached?.headers.get(REVISION_HEADER) === entry.revision) return cached;
+    }
+    return undefined;
+}
 
-// A list of all essential files that make up the app's user interface.
-const APP_SHELL_URLS = [
-    '/',
-    '/index.html',
-    '/main.css',
-    '/app.js',
-    '/api.js',
-    '/gemini.js',
-    '/trakt.js',
-    '/storage.js',
-    '/manifest.json',
-    '/icons/icon-192x192.png',
-    '/icons/icon-512x512.png',
-    'https://api.fontshare.com/v2/css?f[]=clash-display@700,600,500&f[]=satoshi@700,500,400&display=swap',
-    'https://unpkg.com/lucide@latest'
-];
+/**
+ * Stores one manifest entry, tagged with its revision. Bypasses the HTTP cache so a new
+ * revision never picks up the previous file.
+ */
+async function precacheEntry(cache, entry) {
+    const response = await findPrecachedRevision(entry) || await fetch(entry.url, { cache: 'reload' });
+    if (!response.ok) throw new Error(`${entry.url} responded with HTTP ${response.status}`);
+    const headers = new Headers(response.headers);
+    if (entry.revision) headers.set(REVISION_HEADER, entry.revision);
+    await cache.put(entry.url, new Response(await response.blob(), { status: response.status, headers }));
+}
 
 /**
  * INSTALL Event
- * Fired when the service worker is first installed. Caches the app shell.
+ * Fired when a new service worker is installed. Precaches every manifest entry; if any of
+ * them fails, installation fails and the current version keeps serving the app.
+ * The new worker then waits until the page asks it to take over (see the MESSAGE event).
  */
 self.addEventListener('install', event => {
-    console.log('[Service Worker] Install event fired.');
+    console.log(`[Service Worker] Installing version ${PRECACHE_VERSION}.`);
     event.waitUntil(
-        caches.open(APP_CACHE_NAME)
-            .then(cache => {
-                console.log('[Service Worker] Caching essential app shell assets.');
-                return cache.addAll(APP_SHELL_URLS);
-            })
-            .catch(error => {
-                console.error('[Service Worker] Failed to cache app shell:', error);
-            })
+        caches.open(APP_CACHE_NAME).then(cache => Promise.all(PRECACHE_ENTRIES.map(entry => precacheEntry(cache, entry))))
     );
 });
 
@@ -55,7 +81,7 @@ self.addEventListener('activate', event => {
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cache => {
-                    if (cache !== APP_CACHE_NAME && cache !== DATA_CACHE_NAME) {
+                    if (![APP_CACHE_NAME, DATA_CACHE_NAME, IMAGE_CACHE_NAME, FONT_CACHE_NAME].includes(cache)) {
                         console.log('[Service Worker] Deleting old cache:', cache);
                         return caches.delete(cache);
                     }
@@ -66,6 +92,85 @@ self.addEventListener('activate', event => {
     return self.clients.claim();
 });
 
+/**
+ * MESSAGE Event
+ * The page sends { type: 'SKIP_WAITING' } with a MessageChannel port when the user accepts
+ * an update; the reply tells it the new worker is taking over.
+ */
+self.addEventListener('message', event => {
+    const port = event.ports[0];
+    switch (event.data?.type) {
+        case 'SKIP_WAITING':
+            event.waitUntil(self.skipWaiting().then(() => port?.postMessage({ type: 'SKIPPED_WAITING', version: PRECACHE_VERSION })));
+            break;
+        case 'GET_VERSION':
+            port?.postMessage({ type: 'VERSION', version: PRECACHE_VERSION });
+            break;
+    }
+});
+
+/**
+ * Evicts the oldest entries (caches keep insertion order) once a cache is over budget.
+ * Image entries carry their size in a header, so that cache is limited by bytes.
+ */
+async function trimDataCache() {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - MAX_DATA_CACHE_ENTRIES, 0)).map(key => cache.delete(key)));
+}
+
+async function trimImageCache() {
+    const cache = await caches.open(IMAGE_CACHE_NAME);
+    const keys = await cache.keys();
+    const sizes = await Promise.all(keys.map(async key => Number((await cache.match(key))?.headers.get(IMAGE_SIZE_HEADER)) || 0));
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    for (let i = 0; i < keys.length && total > MAX_IMAGE_CACHE_BYTES; i++) {
+        await cache.delete(keys[i]);
+        total -= sizes[i];
+    }
+}
+
+const trimTimers = {};
+function scheduleTrim(name, trim) {
+    clearTimeout(trimTimers[name]);
+    trimTimers[name] = setTimeout(() => trim().catch(error => console.error(`[Service Worker] Failed to trim ${name}:`, error)), TRIM_DELAY);
+}
+
+/**
+ * Fetches a TMDB response from the network and stores a copy in the data cache.
+ */
+async function fetchAndCacheData(request) {
+    const response = await fetch(request);
+    if (response.status === 200) {
+        const cache = await caches.open(DATA_CACHE_NAME);
+        await cache.put(request, response.clone());
+        scheduleTrim(DATA_CACHE_NAME, trimDataCache);
+    }
+    return response;
+}
+
+/**
+ * Serves a poster from the image cache, or fetches and caches it. Images are requested with
+ * CORS so their size is known for the budget; if that fails, they are passed through uncached.
+ */
+async function serveImage(request) {
+    const cache = await caches.open(IMAGE_CACHE_NAME);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request.url, { mode: 'cors' });
+        if (response.status !== 200) return response;
+        const blob = await response.blob();
+        const headers = new Headers(response.headers);
+        headers.set(IMAGE_SIZE_HEADER, String(blob.size));
+        await cache.put(request.url, new Response(blob, { status: 200, headers }));
+        scheduleTrim(IMAGE_CACHE_NAME, trimImageCache);
+        return new Response(blob, { status: 200, headers: response.headers });
+    } catch (error) {
+        return fetch(request);
+    }
+}
+
 /**
  * FETCH Event
  * Fired for every network request. Implements caching strategies.
@@ -78,35 +183,63 @@ self.addEventListener('fetch', event => {
         return;
     }
     
-    // Strategy 1: For TMDB API calls, use Network First, Falling Back to Cache.
-    // This ensures data is fresh when online but still available offline.
-    if (url.hostname === 'api.themoviedb.org') {
+    // Strategy 1: Trending lists change slowly, so serve the cached copy at once (Stale-While-Revalidate)
+    // and refresh it in the background for next time.
+    if (url.pathname.startsWith('/tmdb/trending/')) {
+        event.respondWith(
+            caches.match(event.request).then(cached => {
+                const refresh = fetchAndCacheData(event.request);
+                event.waitUntil(refresh.catch(() => {}));
+                return cached || refresh;
+            })
+        );
+        return;
+    }
+
+    // Strategy 2: For other TMDB API calls (routed through the proxy), use Network First, Falling Back to Cache.
+    // This ensures data is fresh when online, while viewed detail pages stay available offline.
+    if (url.pathname.startsWith('/tmdb/')) {
+        event.respondWith(
+            fetchAndCacheData(event.request).catch(async () => {
+                console.log(`[Service Worker] Network failed for ${url}. Serving from cache.`);
+                return (await caches.match(event.request)) || Response.error();
+            })
+        );
+        return;
+    }
+
+    // Strategy 3: Posters and logos never change at a given URL, so use Cache First within the size budget.
+    if (url.hostname === 'image.tmdb.org') {
+        event.respondWith(serveImage(event.request));
+        return;
+    }
+
+    // Strategy 4: Fonts use Stale-While-Revalidate, as their stylesheet URL is not versioned.
+    if (FONT_HOSTS.includes(url.hostname)) {
         event.respondWith(
-            caches.open(DATA_CACHE_NAME).then(cache => {
-                return fetch(event.request)
-                    .then(response => {
-                        // If the network request is successful, clone and cache the response.
-                        if (response.status === 200) {
-                            cache.put(event.request, response.clone());
-                        }
-                        return response;
-                    })
-                    .catch(() => {
-                        // If the network fails, serve the matched response from the cache.
-                        console.log(`[Service Worker] Network failed for ${url}. Serving from cache.`);
-                        return cache.match(event.request);
-                    });
+            caches.open(FONT_CACHE_NAME).then(async cache => {
+                const cached = await cache.match(event.request);
+                const refresh = fetch(event.request).then(response => {
+                    if (response.ok) cache.put(event.request, response.clone());
+                    return response;
+                });
+                event.waitUntil(refresh.catch(() => {}));
+                return cached || refresh;
             })
         );
         return;
     }
 
-    // Strategy 2: For App Shell resources, use Cache First, Falling Back to Network.
-    // This makes the app load instantly from the cache.
+    // Strategy 5: For App Shell resources, use Cache First, Falling Back to Network.
+    // This makes the app load instantly from the cache, at exactly the precached version.
     // We explicitly avoid caching the Gemini API here as its responses are dynamic.
-    if (APP_SHELL_URLS.includes(url.pathname) || url.hostname === 'api.fontshare.com' || url.hostname === 'unpkg.com') {
+    // Navigations (e.g. the Trakt callback with ?code=) are served the cached index page.
+    const precacheKey = event.request.mode === 'navigate' ? '/'
+        : url.origin === self.location.origin ? url.pathname : url.href;
+    if (PRECACHE_URLS.has(precacheKey)) {
         event.respondWith(
-            caches.match(event.request)
+            caches.open(APP_CACHE_NAME)
+                .then(cache => cache.match(precacheKey))
                 .then(response => {
                     // Return cached response if found, otherwise fetch from the network.
                     return response || fetch(event.request);
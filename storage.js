@@ -3,14 +3,36 @@
 STORAGE.JS - AWWWARDS REBUILD 2025 (ENHANCED & DOCUMENTED)
 - Provides a clean, safe, and centralized interface for interacting
   with the browser's localStorage.
-- Manages Trakt.tv tokens and the user's preferred theme with versioned keys.
+- Manages Trakt.tv tokens and cached watch history with versioned keys.
+- Keeps app settings and user preferences in one versioned object with defaults and
+  migrations, and exports/imports all local app data as JSON.
 - Includes comprehensive JSDoc comments for improved clarity.
 ================================================================
 */
 
 // --- Define unique keys for the new version to prevent conflicts with old data ---
 const TRAKT_TOKEN_KEY = 'pcinegpt_trakt_tokens_v3';
-const THEME_KEY = 'pcinegpt_theme_v3';
+const THEME_KEY = 'pcinegpt_theme_v3'; // Legacy: folded into SETTINGS_KEY by the v2 migration
+const WATCHED_HISTORY_KEY = 'pcinegpt_trakt_watched_v3';
+const SHOW_WATCHED_KEY = 'pcinegpt_show_watched_v3'; // Legacy: folded into SETTINGS_KEY by the v2 migration
+const AI_SETTINGS_KEY = 'pcinegpt_ai_settings_v3'; // Legacy: folded into SETTINGS_KEY by the v1 migration
+const WATCH_REGION_KEY = 'pcinegpt_watch_region_v3'; // Legacy: folded into SETTINGS_KEY by the v1 migration
+const MY_SERVICES_KEY = 'pcinegpt_my_services_v3'; // Legacy: folded into SETTINGS_KEY by the v2 migration
+const ONLY_MY_SERVICES_KEY = 'pcinegpt_only_my_services_v3'; // Legacy: folded into SETTINGS_KEY by the v2 migration
+const LOCALE_KEY = 'pcinegpt_locale_v3'; // Legacy: folded into SETTINGS_KEY by the v2 migration
+const SETTINGS_KEY = 'pcinegpt_settings_v3';
+const SEARCH_HISTORY_KEY = 'pcinegpt_search_history_v3';
+const STATS_HISTORY_KEY = 'pcinegpt_trakt_stats_v3';
+const STATS_TITLES_KEY = 'pcinegpt_stats_titles_v3';
+const TASTE_PROFILE_KEY = 'pcinegpt_taste_profile_v3';
+
+// Every key this app writes starts with this prefix; exports include all of them except secrets
+// and the stats and taste profile caches, which are rebuilt from Trakt and TMDB anyway.
+const KEY_PREFIX = 'pcinegpt_';
+const EXPORT_EXCLUDED_KEYS = [TRAKT_TOKEN_KEY, STATS_HISTORY_KEY, STATS_TITLES_KEY, TASTE_PROFILE_KEY];
+const LEGACY_SETTINGS_KEYS = [AI_SETTINGS_KEY, WATCH_REGION_KEY, THEME_KEY, SHOW_WATCHED_KEY, MY_SERVICES_KEY, ONLY_MY_SERVICES_KEY, LOCALE_KEY];
+const EXPORT_FORMAT = 'pcinegpt-local-data';
+const EXPORT_VERSION = 1;
 
 // --- Helper function for safe JSON parsing ---
 
@@ -71,32 +93,608 @@ export function clearTraktTokens() {
 }
 
 
+// ================================================================
+// --- TRAKT WATCHED HISTORY CACHE ---
+// ================================================================
+
+/**
+ * Caches the user's Trakt watched history (play counts keyed by TMDB id, to keep it compact).
+ * @param {{fetchedAt: number, movies: Object<string, number>, shows: Object<string, number>}} history The history to cache.
+ */
+export function saveWatchedHistory(history) {
+    if (!history) return;
+    try {
+        localStorage.setItem(WATCHED_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error("Could not save watched history to localStorage:", error);
+    }
+}
+
+/**
+ * Retrieves the cached Trakt watched history.
+ * @returns {{fetchedAt: number, movies: Object<string, number>, shows: Object<string, number>} | null} The cached history or null if not found or invalid.
+ */
+export function getWatchedHistory() {
+    const historyJSON = localStorage.getItem(WATCHED_HISTORY_KEY);
+    return safeJsonParse(historyJSON, null);
+}
+
+/**
+ * Removes the cached Trakt watched history, e.g. on logout or after marking something watched.
+ */
+export function clearWatchedHistory() {
+    try {
+        localStorage.removeItem(WATCHED_HISTORY_KEY);
+    } catch (error) {
+        console.error("Could not clear watched history from localStorage:", error);
+    }
+}
+
+
+// ================================================================
+// --- STATS DASHBOARD & TASTE PROFILE CACHE ---
+// ================================================================
+
+/**
+ * Caches the Trakt play history and ratings behind the stats dashboard.
+ * @param {{fetchedAt: number, plays: Array<{hid: number, at: number, type: string, id: number}>, ratings: Array<{at: number, type: string, id: number, rating: number}>}} history
+ *   Plays (newest first) and ratings, with times in ms since the epoch and TMDB ids.
+ */
+export function saveStatsHistory(history) {
+    if (!history) return;
+    try {
+        localStorage.setItem(STATS_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error("Could not save stats history to localStorage:", error);
+    }
+}
+
+/**
+ * Retrieves the cached stats history.
+ * @returns {{fetchedAt: number, plays: Array<object>, ratings: Array<object>} | null} The cached history or null if not found or invalid.
+ */
+export function getStatsHistory() {
+    const history = safeJsonParse(localStorage.getItem(STATS_HISTORY_KEY), null);
+    return Array.isArray(history?.plays) && Array.isArray(history.ratings) ? history : null;
+}
+
+/**
+ * Removes the cached stats history, e.g. on logout or after a play is removed on Trakt.
+ */
+export function clearStatsHistory() {
+    try {
+        localStorage.removeItem(STATS_HISTORY_KEY);
+    } catch (error) {
+        console.error("Could not clear stats history from localStorage:", error);
+    }
+}
+
+/**
+ * Caches the TMDB facts the dashboard and taste profile need per title (name, genre ids, year, top cast, directors).
+ * @param {Object<string, {title: string, genres: Array<number>, year: number|null, cast: Array<{id: number, name: string}>, directors: Array<{id: number, name: string}>}>} titles
+ *   Keyed by 'movie:123' / 'tv:456'.
+ */
+export function saveStatsTitles(titles) {
+    try {
+        localStorage.setItem(STATS_TITLES_KEY, JSON.stringify(titles));
+    } catch (error) {
+        console.error("Could not save stats titles to localStorage:", error);
+    }
+}
+
+/**
+ * Retrieves the cached per-title stats facts.
+ * @returns {Object<string, object>} The titles, or an empty object.
+ */
+export function getStatsTitles() {
+    const titles = safeJsonParse(localStorage.getItem(STATS_TITLES_KEY), {});
+    return titles && typeof titles === 'object' && !Array.isArray(titles) ? titles : {};
+}
+
+/**
+ * Removes the cached per-title stats facts.
+ */
+export function clearStatsTitles() {
+    try {
+        localStorage.removeItem(STATS_TITLES_KEY);
+    } catch (error) {
+        console.error("Could not clear stats titles from localStorage:", error);
+    }
+}
+
+/**
+ * Saves the taste profile built from the user's Trakt ratings and history (see taste-profile.js).
+ * @param {object} profile The profile.
+ */
+export function saveTasteProfile(profile) {
+    if (!profile) return;
+    try {
+        localStorage.setItem(TASTE_PROFILE_KEY, JSON.stringify(profile));
+    } catch (error) {
+        console.error("Could not save taste profile to localStorage:", error);
+    }
+}
+
+/**
+ * Retrieves the saved taste profile.
+ * @returns {object | null} The profile or null if not found or invalid.
+ */
+export function getTasteProfile() {
+    return safeJsonParse(localStorage.getItem(TASTE_PROFILE_KEY), null);
+}
+
+/**
+ * Removes the saved taste profile, e.g. on logout.
+ */
+export function clearTasteProfile() {
+    try {
+        localStorage.removeItem(TASTE_PROFILE_KEY);
+    } catch (error) {
+        console.error("Could not clear taste profile from localStorage:", error);
+    }
+}
+
+
 // ================================================================
 // --- THEME PREFERENCE FUNCTIONS ---
 // ================================================================
 
 /**
- * Saves the user's selected theme ('light' or 'dark') to localStorage.
+ * Saves the user's selected theme ('light' or 'dark') in the settings.
  * @param {string} theme The theme string to save.
  */
 export function saveTheme(theme) {
     if (!theme) return;
+    saveSettings({ theme });
+}
+
+/**
+ * Retrieves the user's saved theme.
+ * @returns {string | null} The saved theme string ('light' or 'dark') or null if not set.
+ */
+export function getTheme() {
+    return getSettings().theme;
+}
+
+/**
+ * Saves whether already-watched titles should be shown in recommendations.
+ * @param {boolean} showWatched True to show watched titles (with a badge), false to hide them.
+ */
+export function saveShowWatched(showWatched) {
+    saveSettings({ showWatched: !!showWatched });
+}
+
+/**
+ * Retrieves whether already-watched titles should be shown in recommendations.
+ * @returns {boolean} The saved preference, defaulting to false (hide watched titles).
+ */
+export function getShowWatched() {
+    return getSettings().showWatched === true;
+}
+
+
+// ================================================================
+// --- APP SETTINGS (VERSIONED) ---
+// ================================================================
+
+const SETTINGS_VERSION = 2;
+
+/**
+ * Defaults for every setting. `ai` is filled in further by `resolveAISettings` in ai-providers.js,
+ * a null `watchRegion` means "use the browser's region", a null `locale` means "use the browser's
+ * language" and a null `theme` means "follow the system".
+ */
+export const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    numResults: 10,
+    defaultMediaType: 'any', // 'any', 'movie' or 'tv'
+    imageQuality: 'standard', // 'low', 'standard' or 'high'
+    watchRegion: null,
+    safetyThreshold: 'BLOCK_MEDIUM_AND_ABOVE',
+    ai: {},
+    theme: null, // 'light' or 'dark'
+    locale: null,
+    showWatched: false,
+    myServices: [], // TMDB watch provider ids
+    onlyMyServices: false,
+};
+
+/**
+ * Upgrades settings saved by an older version, keyed by the version each step produces.
+ * Steps run in order, so settings from any past version reach the current shape.
+ * Each step gets `readLegacy(key)`, which returns the value of a pre-versioning key.
+ */
+const SETTINGS_MIGRATIONS = {
+    // v1: the AI settings and the watch region moved out of their own keys.
+    1: (settings, readLegacy) => {
+        const ai = safeJsonParse(readLegacy(AI_SETTINGS_KEY), {});
+        const watchRegion = readLegacy(WATCH_REGION_KEY);
+        return { ...settings, ai: { ...ai, ...settings.ai }, watchRegion: settings.watchRegion || watchRegion || null };
+    },
+    // v2: the theme, locale, watched filter and streaming service preferences moved out of their own keys.
+    2: (settings, readLegacy) => {
+        const myServices = safeJsonParse(readLegacy(MY_SERVICES_KEY), []);
+        return {
+            ...settings,
+            theme: readLegacy(THEME_KEY) || null,
+            locale: readLegacy(LOCALE_KEY) || null,
+            showWatched: safeJsonParse(readLegacy(SHOW_WATCHED_KEY), false) === true,
+            myServices: Array.isArray(myServices) ? myServices.filter(Number.isInteger) : [],
+            onlyMyServices: safeJsonParse(readLegacy(ONLY_MY_SERVICES_KEY), false) === true,
+        };
+    },
+};
+
+/**
+ * Runs every migration newer than the settings' version. Callers remove the legacy keys
+ * once the migrated settings are saved.
+ * @param {object} settings Saved settings (without a version if they predate versioning).
+ * @param {function(string): (string|null)} [readLegacy] Reads a legacy key; defaults to localStorage.
+ * @returns {object} Settings at the current version.
+ */
+function migrateSettings(settings, readLegacy = key => localStorage.getItem(key)) {
+    let migrated = settings;
+    for (let version = (settings.version || 0) + 1; version <= SETTINGS_VERSION; version++) {
+        migrated = { ...SETTINGS_MIGRATIONS[version](migrated, readLegacy), version };
+    }
+    return migrated;
+}
+
+// The parsed settings and the stored JSON they were read from. Settings are read on hot paths
+// (every poster URL), so they are only parsed, and migrated, again when that JSON changes.
+const settingsCache = { json: undefined, settings: null };
+
+/**
+ * Parses stored settings, migrating and re-saving them if they are from an older version.
+ * @param {string | null} json The stored settings JSON.
+ * @returns {typeof DEFAULT_SETTINGS} The settings, filled in with defaults.
+ */
+function readSettings(json) {
+    let saved = safeJsonParse(json, {});
+    if (saved.version !== SETTINGS_VERSION) {
+        try {
+            saved = migrateSettings(saved);
+            json = JSON.stringify(saved);
+            localStorage.setItem(SETTINGS_KEY, json);
+            LEGACY_SETTINGS_KEYS.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error("Could not migrate settings in localStorage:", error);
+            saved = { ...saved, version: SETTINGS_VERSION };
+        }
+    }
+    settingsCache.json = json;
+    settingsCache.settings = { ...DEFAULT_SETTINGS, ...saved, ai: { ...DEFAULT_SETTINGS.ai, ...saved.ai } };
+    return settingsCache.settings;
+}
+
+/**
+ * Retrieves the app settings, migrated to the current version and filled in with defaults.
+ * @returns {typeof DEFAULT_SETTINGS} A copy of the settings, safe to change.
+ */
+export function getSettings() {
+    const json = localStorage.getItem(SETTINGS_KEY);
+    const settings = json === settingsCache.json && settingsCache.settings ? settingsCache.settings : readSettings(json);
+    return structuredClone(settings);
+}
+
+/**
+ * Saves some settings, keeping the rest.
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes The settings to change.
+ */
+export function saveSettings(changes) {
     try {
-        localStorage.setItem(THEME_KEY, theme);
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...getSettings(), ...changes, version: SETTINGS_VERSION }));
     } catch (error) {
-        console.error("Could not save theme to localStorage:", error);
+        console.error("Could not save settings to localStorage:", error);
     }
 }
 
+// Preferences with their own controls elsewhere in the app are kept when the settings are reset.
+const PRESERVED_ON_RESET = ['theme', 'locale', 'showWatched', 'myServices', 'onlyMyServices'];
+
 /**
- * Retrieves the user's saved theme from localStorage.
- * @returns {string | null} The saved theme string ('light' or 'dark') or null if not set.
+ * Restores every setting to its default, keeping the theme, locale, watched filter and streaming services.
  */
-export function getTheme() {
+export function resetSettings() {
+    const current = getSettings();
+    const preserved = Object.fromEntries(PRESERVED_ON_RESET.map(name => [name, current[name]]));
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...DEFAULT_SETTINGS, ...preserved }));
+    } catch (error) {
+        console.error("Could not reset settings in localStorage:", error);
+    }
+}
+
+/**
+ * Saves the AI provider settings (provider, model, base URL, temperature, optional API key
+ * and, for Gemini, the safety threshold).
+ * @param {{provider: string, model: string, baseUrl: string, temperature: number, apiKey: string, safetyThreshold?: string}} settings The settings to save.
+ */
+export function saveAISettings(settings) {
+    if (!settings) return;
+    const { safetyThreshold, ...ai } = settings;
+    saveSettings(safetyThreshold ? { ai, safetyThreshold } : { ai });
+}
+
+/**
+ * Retrieves the saved AI provider settings. Missing fields are filled in by `resolveAISettings` in ai-providers.js.
+ * @returns {object} The saved settings, including the safety threshold.
+ */
+export function getAISettings() {
+    const { ai, safetyThreshold } = getSettings();
+    return { ...ai, safetyThreshold };
+}
+
+
+// ================================================================
+// --- STREAMING AVAILABILITY PREFERENCES ---
+// ================================================================
+
+/**
+ * Saves the region used for "where to watch" availability.
+ * @param {string} region An ISO 3166-1 region code (e.g. 'US', 'DE').
+ */
+export function saveWatchRegion(region) {
+    if (!region) return;
+    saveSettings({ watchRegion: region });
+}
+
+/**
+ * Retrieves the region used for "where to watch" availability.
+ * @returns {string} The saved region, defaulting to the browser's region (or 'US').
+ */
+export function getWatchRegion() {
+    const saved = getSettings().watchRegion;
+    if (saved) return saved;
+    const browserRegion = (navigator.language || '').split('-')[1];
+    return /^[A-Za-z]{2}$/.test(browserRegion || '') ? browserRegion.toUpperCase() : 'US';
+}
+
+/**
+ * Saves the TMDB ids of the streaming services the user subscribes to.
+ * @param {Array<number>} providerIds The subscribed provider ids.
+ */
+export function saveMyServices(providerIds) {
+    saveSettings({ myServices: providerIds || [] });
+}
+
+/**
+ * Retrieves the TMDB ids of the streaming services the user subscribes to.
+ * @returns {Array<number>} The subscribed provider ids (empty if none are saved).
+ */
+export function getMyServices() {
+    const { myServices } = getSettings();
+    return Array.isArray(myServices) ? myServices : [];
+}
+
+/**
+ * Saves whether recommendations and carousels should only show titles on the user's services.
+ * @param {boolean} onlyMyServices True to hide titles not streaming on a subscribed service.
+ */
+export function saveOnlyMyServices(onlyMyServices) {
+    saveSettings({ onlyMyServices: !!onlyMyServices });
+}
+
+/**
+ * Retrieves whether recommendations and carousels should only show titles on the user's services.
+ * @returns {boolean} The saved preference, defaulting to false.
+ */
+export function getOnlyMyServices() {
+    return getSettings().onlyMyServices === true;
+}
+
+
+// ================================================================
+// --- LOCALE PREFERENCE ---
+// ================================================================
+
+/**
+ * Saves the user's chosen UI locale.
+ * @param {string} locale A supported locale (e.g. 'en-US', 'de-DE').
+ */
+export function saveLocale(locale) {
+    saveSettings({ locale });
+}
+
+/**
+ * Retrieves the user's chosen UI locale.
+ * @returns {string | null} The saved locale, or null if none is set (see i18n.js for the default).
+ */
+export function getLocale() {
+    return getSettings().locale;
+}
+
+
+// ================================================================
+// --- SEARCH HISTORY & SAVED SEARCHES ---
+// ================================================================
+
+// Unpinned searches beyond this are dropped, oldest first; pinned searches are always kept.
+const MAX_SEARCH_HISTORY = 30;
+
+/**
+ * @typedef {object} SavedSearch
+ * @property {string} id A stable id for links (#/history/<id>).
+ * @property {string} key The search's hash param: the encoded query plus any filters.
+ * @property {string} query The opening query.
+ * @property {number} searchedAt When the search last ran (ms since the epoch).
+ * @property {boolean} pinned Whether the search is pinned as a chip on the home view.
+ * @property {Array<{query: string, results: Array<object>}>} turns A snapshot of every turn's results.
+ */
+
+/**
+ * Retrieves the search history, most recent first.
+ * @returns {Array<SavedSearch>} The saved searches.
+ */
+export function getSearchHistory() {
+    const history = safeJsonParse(localStorage.getItem(SEARCH_HISTORY_KEY), []);
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Retrieves one saved search.
+ * @param {string} id The saved search's id.
+ * @returns {SavedSearch | null} The search, or null if it is not in the history.
+ */
+export function getSavedSearch(id) {
+    return getSearchHistory().find(entry => entry.id === id) || null;
+}
+
+function writeSearchHistory(history) {
+    try {
+        localStorage.setItem(SEARCH_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error("Could not save search history to localStorage:", error);
+    }
+}
+
+/**
+ * Records a search (or its latest refinement) at the top of the history. Running the same
+ * search again replaces its snapshot but keeps its id and pin.
+ * @param {{key: string, query: string, turns: Array<{query: string, results: Array<object>}>}} search The search to record.
+ */
+export function saveSearchToHistory({ key, query, turns }) {
+    const history = getSearchHistory();
+    const existing = history.find(entry => entry.key === key);
+    const entry = {
+        id: existing?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        key,
+        query,
+        searchedAt: Date.now(),
+        pinned: existing?.pinned || false,
+        turns,
+    };
+    const others = history.filter(item => item !== existing);
+    let unpinnedSlots = MAX_SEARCH_HISTORY - 1;
+    writeSearchHistory([entry, ...others.filter(item => item.pinned || unpinnedSlots-- > 0)]);
+}
+
+/**
+ * Pins or unpins a saved search as a chip on the home view.
+ * @param {string} id The saved search's id.
+ * @param {boolean} pinned True to pin.
+ */
+export function setSearchPinned(id, pinned) {
+    writeSearchHistory(getSearchHistory().map(entry => entry.id === id ? { ...entry, pinned: !!pinned } : entry));
+}
+
+/**
+ * Removes one saved search.
+ * @param {string} id The saved search's id.
+ */
+export function removeSearchFromHistory(id) {
+    writeSearchHistory(getSearchHistory().filter(entry => entry.id !== id));
+}
+
+/**
+ * Clears the search history, keeping pinned searches.
+ */
+export function clearSearchHistory() {
+    writeSearchHistory(getSearchHistory().filter(entry => entry.pinned));
+}
+
+
+// ================================================================
+// --- EXPORT & IMPORT OF LOCAL DATA ---
+// ================================================================
+
+/**
+ * Collects all local app data (settings, preferences, search history and the cached watch history)
+ * for a backup or a move to another device. Trakt tokens are left out; sign in again after importing.
+ * The stats and taste profile caches are left out too and rebuilt on the next visit.
+ * @returns {{format: string, version: number, exportedAt: string, data: Object<string, string>}} The export, ready for JSON.stringify.
+ */
+export function exportLocalData() {
+    const data = {};
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(KEY_PREFIX) && !EXPORT_EXCLUDED_KEYS.includes(key)) data[key] = localStorage.getItem(key);
+        }
+    } catch (error) {
+        console.error("Could not read local data from localStorage:", error);
+    }
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isOptional = (value, type) => value === undefined || value === null || typeof value === type;
+
+// The shape each known setting must have in an import; settings this version does not know are kept as they are.
+const IMPORTED_SETTING_CHECKS = {
+    version: value => Number.isInteger(value) && value >= 0 && value <= SETTINGS_VERSION,
+    numResults: value => Number.isInteger(value) && value > 0,
+    defaultMediaType: value => ['any', 'movie', 'tv'].includes(value),
+    imageQuality: value => ['low', 'standard', 'high'].includes(value),
+    watchRegion: value => value === null || (typeof value === 'string' && /^[A-Za-z]{2}$/.test(value)),
+    safetyThreshold: value => typeof value === 'string',
+    ai: value => isPlainObject(value)
+        && ['provider', 'model', 'baseUrl', 'apiKey'].every(key => isOptional(value[key], 'string'))
+        && isOptional(value.temperature, 'number'),
+    theme: value => value === null || value === 'light' || value === 'dark',
+    locale: value => isOptional(value, 'string'),
+    showWatched: value => typeof value === 'boolean',
+    myServices: value => Array.isArray(value) && value.every(Number.isInteger),
+    onlyMyServices: value => typeof value === 'boolean',
+};
+
+/**
+ * Parses and checks the settings in an export, including the legacy AI settings key of exports
+ * made before settings were versioned, and migrates them to the current version.
+ * @param {Object<string, string>} data The export's entries.
+ * @returns {object} The settings to save.
+ * @throws {Error} If the settings are not valid JSON of the expected shape.
+ */
+function readImportedSettings(data) {
+    const parse = (key, fallback) => {
+        try {
+            return key in data ? JSON.parse(data[key]) : fallback;
+        } catch {
+            throw new Error(`The ${key} entry of this export is not valid JSON.`);
+        }
+    };
+    const settings = parse(SETTINGS_KEY, {});
+    if (!isPlainObject(settings)) throw new Error('The settings in this export are not an object.');
+    const invalid = Object.keys(IMPORTED_SETTING_CHECKS).find(name => name in settings && !IMPORTED_SETTING_CHECKS[name](settings[name]));
+    if (invalid) throw new Error(`The "${invalid}" setting in this export is not valid.`);
+    if (!isPlainObject(parse(AI_SETTINGS_KEY, {}))) throw new Error('The AI settings in this export are not an object.');
+
+    // The legacy keys are read from the file, not from this browser, so old exports come across whole.
+    return migrateSettings(settings, key => data[key] ?? null);
+}
+
+/**
+ * Restores local app data from an `exportLocalData` export, replacing the matching keys.
+ * Settings from older versions, including the legacy keys of exports made before settings
+ * were versioned, are migrated before they are saved. Everything is checked before anything
+ * is written, and a failed write is rolled back, so an import applies fully or not at all.
+ * @param {object} exported The parsed export.
+ * @returns {number} How many entries were imported.
+ * @throws {Error} If the export is not a pcinegpt export this version can read, or holds invalid settings.
+ */
+export function importLocalData(exported) {
+    if (exported?.format !== EXPORT_FORMAT || !isPlainObject(exported.data)) {
+        throw new Error('This file is not a pcinegpt data export.');
+    }
+    if (exported.version > EXPORT_VERSION) {
+        throw new Error('This export was made by a newer version of pcinegpt.');
+    }
+    const entries = Object.entries(exported.data)
+        .filter(([key, value]) => key.startsWith(KEY_PREFIX) && !EXPORT_EXCLUDED_KEYS.includes(key) && typeof value === 'string');
+    const data = Object.fromEntries(entries);
+    const writes = entries.filter(([key]) => key !== SETTINGS_KEY && !LEGACY_SETTINGS_KEYS.includes(key));
+    if (SETTINGS_KEY in data || LEGACY_SETTINGS_KEYS.some(key => key in data)) {
+        writes.push([SETTINGS_KEY, JSON.stringify(readImportedSettings(data))]);
+    }
+
+    const previous = writes.map(([key]) => [key, localStorage.getItem(key)]);
     try {
-        return localStorage.getItem(THEME_KEY);
+        writes.forEach(([key, value]) => localStorage.setItem(key, value));
     } catch (error) {
-        console.error("Could not retrieve theme from localStorage:", error);
-        return null;
+        previous.forEach(([key, value]) => value === null ? localStorage.removeItem(key) : localStorage.setItem(key, value));
+        throw error;
     }
+    // Imported settings are already migrated, so any legacy keys left in this browser are stale.
+    LEGACY_SETTINGS_KEYS.forEach(key => localStorage.removeItem(key));
+    return entries.length;
 }
@@ -0,0 +1,229 @@
+/*
+================================================================
+TASTE-PROFILE.JS - AWWWARDS REBUILD 2025 (PERSONAL TASTE PROFILE)
+- Builds a taste profile from every Trakt rating and the full watch history.
+- Scores genres, eras and people by how the user rated (or kept watching) their titles.
+- Stored locally and refreshed incrementally: only new plays and unseen titles are fetched.
+- Condenses the profile into a short summary for the AI prompt.
+================================================================
+*/
+
+import * as api from './api.js';
+import * as trakt from './trakt.js';
+import { getStatsTitles, saveStatsTitles, getTasteProfile as getCachedTasteProfile, saveTasteProfile } from './storage.js';
+
+// --- Configuration ---
+export const MAX_WATCHED_TITLES = 300; // The most-watched titles are looked up on TMDB (genres, year, people)
+const MAX_RATED_TITLES = 200; // ...plus this many rated titles, the most strongly rated first
+const CAST_PER_TITLE = 5;
+const LOOKUP_BATCH_SIZE = 8;
+
+const PROFILE_VERSION = 1; // Bump when the profile shape changes, so stored profiles are rebuilt
+const LOVED_MIN_RATING = 9;
+const DISLIKED_MAX_RATING = 4;
+const NEUTRAL_RATING = 5.5; // Ratings above this count for a title's genres, eras and people; below, against
+const TOP_GENRES = 5;
+const TOP_ERAS = 3;
+const TOP_PEOPLE = 5;
+const MAX_LISTED_TITLES = 12;
+
+// The in-progress background rebuild, shared by every caller that asks for one (single-flight).
+let rebuildPromise = null;
+
+
+// --- Helpers ---
+
+const titleKey = (type, id) => `${type}:${id}`;
+
+function addScore(scores, key, weight) {
+    scores.set(key, (scores.get(key) || 0) + weight);
+}
+
+/**
+ * @param {Map<*, number>} scores - Scores per key.
+ * @param {number} limit - How many keys to return.
+ * @param {number} [sign=1] - 1 for the highest positive scores, -1 for the lowest negative ones.
+ * @returns {Array<*>} The keys, strongest first.
+ */
+function topScores(scores, limit, sign = 1) {
+    return [...scores].filter(([, score]) => score * sign > 0).sort((a, b) => (b[1] - a[1]) * sign).slice(0, limit).map(([key]) => key);
+}
+
+
+// --- Title Facts (TMDB) ---
+
+/**
+ * Ranks the titles in a play history by how often they were played.
+ * @param {Array<{type: string, id: number}>} plays - The plays.
+ * @returns {Array<string>} 'movie:123' / 'tv:456' keys, most played first.
+ */
+export function rankByPlays(plays) {
+    const counts = new Map();
+    plays.forEach(play => addScore(counts, titleKey(play.type, play.id), 1));
+    return [...counts].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+}
+
+// Keeps only what the dashboard and the profile need; shows list their creators where movies list directors.
+function toTitleFacts(details) {
+    const person = ({ id, name }) => ({ id, name });
+    const directors = details.media_type === 'tv' ? details.created_by || [] : (details.credits?.crew || []).filter(member => member.job === 'Director');
+    return {
+        title: details.title || details.name,
+        genres: (details.genres || []).map(genre => genre.id),
+        year: Number((details.release_date || details.first_air_date || '').split('-')[0]) || null,
+        cast: (details.credits?.cast || []).slice(0, CAST_PER_TITLE).map(person),
+        directors: directors.map(person),
+    };
+}
+
+/**
+ * Looks up the TMDB facts (name, genres, year, top cast, directors) for the titles in a history:
+ * the most-watched ones and the most strongly rated ones. Facts are cached locally, so only titles
+ * new to the history are fetched; titles that dropped out of the set are pruned.
+ * @param {{plays: Array<object>, ratings: Array<object>}} history - From `trakt.getStatsHistory`.
+ * @returns {Promise<Object<string, {title: string, genres: Array<number>, year: number|null, cast: Array<object>, directors: Array<object>}>>}
+ *   Facts keyed by 'movie:123' / 'tv:456'.
+ */
+export async function loadHistoryTitleFacts(history) {
+    const rated = [...history.ratings]
+        .sort((a, b) => Math.abs(b.rating - NEUTRAL_RATING) - Math.abs(a.rating - NEUTRAL_RATING) || b.at - a.at)
+        .slice(0, MAX_RATED_TITLES)
+        .map(rating => titleKey(rating.type, rating.id));
+    const wanted = [...new Set([...rankByPlays(history.plays).slice(0, MAX_WATCHED_TITLES), ...rated])];
+
+    const titles = getStatsTitles();
+    // Entries cached before titles were stored by name are looked up again.
+    const missing = wanted.filter(key => !titles[key]?.title);
+    for (let i = 0; i < missing.length; i += LOOKUP_BATCH_SIZE) {
+        await Promise.all(missing.slice(i, i + LOOKUP_BATCH_SIZE).map(async key => {
+            const [type, id] = key.split(':');
+            try {
+                titles[key] = toTitleFacts(await api.getMediaSummary(type, id, { credits: true }));
+            } catch (error) {
+                console.warn(`Could not look up ${key} for the taste profile:`, error);
+            }
+        }));
+    }
+    const facts = Object.fromEntries(wanted.filter(key => titles[key]).map(key => [key, titles[key]]));
+    if (missing.length > 0 || Object.keys(titles).length !== Object.keys(facts).length) saveStatsTitles(facts);
+    return facts;
+}
+
+
+// --- Profile ---
+
+/**
+ * Scores every title the user has watched or rated. A rating counts for (or, at 5 and below,
+ * against) the title's genres, decade and people in proportion to how far it is from neutral;
+ * an unrated watch counts as mild approval.
+ * @param {{fetchedAt: number, plays: Array<object>, ratings: Array<object>}} history - From `trakt.getStatsHistory`.
+ * @param {Object<string, object>} titles - From `loadHistoryTitleFacts`.
+ * @returns {object} The taste profile.
+ */
+function buildTasteProfile(history, titles) {
+    const ratings = new Map(history.ratings.map(rating => [titleKey(rating.type, rating.id), rating]));
+    const watched = rankByPlays(history.plays);
+    const weights = new Map(watched.map(key => [key, 1]));
+    ratings.forEach((rating, key) => weights.set(key, rating.rating - NEUTRAL_RATING));
+
+    const genres = new Map();
+    const eras = new Map();
+    const people = { cast: new Map(), directors: new Map() };
+    const names = new Map();
+    weights.forEach((weight, key) => {
+        const facts = titles[key];
+        if (!facts) return;
+        facts.genres.forEach(id => addScore(genres, id, weight));
+        if (facts.year) addScore(eras, Math.floor(facts.year / 10) * 10, weight);
+        Object.entries(people).forEach(([role, scores]) => {
+            new Map(facts[role].map(member => [member.id, member.name])).forEach((name, id) => {
+                names.set(id, name);
+                addScore(scores, id, weight);
+            });
+        });
+    });
+
+    const listTitles = (filter, compare) => [...ratings].filter(([key, rating]) => titles[key] && filter(rating.rating))
+        .sort(([, a], [, b]) => compare(a, b))
+        .slice(0, MAX_LISTED_TITLES)
+        .map(([key, rating]) => ({ type: rating.type, id: rating.id, title: titles[key].title, year: titles[key].year, rating: rating.rating }));
+    const topPeople = scores => topScores(scores, TOP_PEOPLE).map(id => ({ id, name: names.get(id) }));
+
+    return {
+        version: PROFILE_VERSION,
+        historyFetchedAt: history.fetchedAt,
+        ratedCount: ratings.size,
+        watchedCount: watched.length,
+        genres: { liked: topScores(genres, TOP_GENRES), disliked: topScores(genres, TOP_GENRES, -1) },
+        eras: topScores(eras, TOP_ERAS),
+        actors: topPeople(people.cast),
+        directors: topPeople(people.directors),
+        loved: listTitles(rating => rating >= LOVED_MIN_RATING, (a, b) => b.rating - a.rating || b.at - a.at),
+        disliked: listTitles(rating => rating <= DISLIKED_MAX_RATING, (a, b) => a.rating - b.rating || b.at - a.at),
+    };
+}
+
+/**
+ * Returns the user's taste profile, rebuilding it only when the Trakt history behind it has
+ * been refreshed (Trakt is only asked for plays newer than the cached ones).
+ * @param {object} [options={}]
+ * @param {boolean} [options.forceRefresh=false] - Pull the whole history again and rebuild.
+ * @returns {Promise<object>} The profile (see `buildTasteProfile`).
+ * @throws {ApiError} If the history cannot be fetched from Trakt.
+ */
+export async function getTasteProfile({ forceRefresh = false } = {}) {
+    const history = await trakt.getStatsHistory({ forceRefresh });
+    const cached = getCachedTasteProfile();
+    if (cached?.version === PROFILE_VERSION && cached.historyFetchedAt === history.fetchedAt) return cached;
+
+    const profile = buildTasteProfile(history, await loadHistoryTitleFacts(history));
+    saveTasteProfile(profile);
+    return profile;
+}
+
+/**
+ * Returns the profile saved by the last build, without touching the network.
+ * @returns {object|null} The profile, or null if none was built yet (or it predates the current shape).
+ */
+export function getSavedTasteProfile() {
+    const cached = getCachedTasteProfile();
+    return cached?.version === PROFILE_VERSION ? cached : null;
+}
+
+/**
+ * Brings the saved profile up to date in the background; a first build reads the whole Trakt
+ * history and looks up hundreds of titles, so callers should not wait on it. Failures are logged.
+ * @returns {Promise<object|null>} The profile, or null if it could not be built.
+ */
+export function rebuildTasteProfileInBackground() {
+    rebuildPromise ??= getTasteProfile()
+        .catch(error => {
+            console.warn('Could not build the taste profile:', error);
+            return null;
+        })
+        .finally(() => { rebuildPromise = null; });
+    return rebuildPromise;
+}
+
+/**
+ * Condenses a taste profile into a few prompt lines.
+ * @param {object} profile - From `getTasteProfile`.
+ * @returns {Promise<string>} One fact per line, or an empty string if there is no history yet.
+ */
+export async function summarizeTasteProfile(profile) {
+    if (profile.ratedCount === 0 && profile.watchedCount === 0) return '';
+    const genreNames = await api.getGenreNames();
+    const genreList = ids => ids.map(id => genreNames.get(id) || `genre ${id}`).join(', ');
+    const nameList = people => people.map(person => person.name).join(', ');
+    const titleList = items => items.map(item => `${item.title}${item.year ? ` (${item.year})` : ''}`).join('; ');
+
+    const lines = [`- Has rated ${profile.ratedCount} titles and watched ${profile.watchedCount}.`];
+    if (profile.genres.liked.length > 0) lines.push(`- Favourite genres: ${genreList(profile.genres.liked)}.`);
+    if (profile.genres.disliked.length > 0) lines.push(`- Genres they tend to rate poorly: ${genreList(profile.genres.disliked)}.`);
+    if (profile.eras.length > 0) lines.push(`- Favourite eras: ${profile.eras.map(decade => `${decade}s`).join(', ')}.`);
+    if (profile.actors.length > 0) lines.push(`- Favourite actors: ${nameList(profile.actors)}.`);
+    if (profile.directors.length > 0) lines.push(`- Favourite directors and creators: ${nameList(profile.directors)}.`);
+    if (profile.loved.length > 0) lines.push(`- Loved (rated ${LOVED_MIN_RATING}-10): ${titleList(profile.loved)}.`);
+    if (profile.disliked.length > 0) lines.push(`- Disliked (rated ${DISLIKED_MAX_RATING} or lower): ${titleList(profile.disliked)}.`);
+    return lines.join('\n');
+}
@@ -0,0 +1,101 @@
+import './helpers/browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchTitle } from '../api.js';
+
+/**
+ * Replaces `fetch` with a stub TMDB search over `catalog` (entries tagged with `media_type`),
+ * honouring the year filters and, if given, a `matchesQuery(entry, query)` filter.
+ * Returns the list of searches it received.
+ */
+function mockTMDBSearch(t, catalog, { matchesQuery = () => true } = {}) {
+    const searches = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+        const { pathname, searchParams } = new URL(url);
+        const type = pathname.endsWith('/search/tv') ? 'tv' : 'movie';
+        const year = searchParams.get(type === 'movie' ? 'primary_release_year' : 'first_air_date_year');
+        searches.push({ type, query: searchParams.get('query'), year: year ? Number(year) : null });
+        const results = catalog
+            .filter(entry => entry.media_type === type)
+            .filter(entry => !year || (entry.release_date || entry.first_air_date).startsWith(year))
+            .filter(entry => matchesQuery(entry, searchParams.get('query')))
+            .map(({ media_type, ...result }) => result);
+        return new Response(JSON.stringify({ results }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    return searches;
+}
+
+const HEAT = { media_type: 'movie', id: 949, title: 'Heat', release_date: '1995-12-15', popularity: 40 };
+
+beforeEach(t => {
+    localStorage.clear();
+    t.mock.method(console, 'error', () => {});
+});
+
+test('matchTitle stops at an exact title, type and year match', async t => {
+    const searches = mockTMDBSearch(t, [HEAT]);
+
+    const match = await matchTitle({ type: 'movie', title: 'Heat', year: 1995 });
+
+    assert.equal(match.id, 949);
+    assert.equal(match.media_type, 'movie');
+    assert.ok(match.match_confidence > 0.9, `confidence ${match.match_confidence}`);
+    assert.equal(match.low_confidence, false);
+    assert.deepEqual(searches, [{ type: 'movie', query: 'Heat', year: 1995 }]);
+});
+
+test('matchTitle compares titles without accents, punctuation or leading articles', async t => {
+    mockTMDBSearch(t, [{ media_type: 'movie', id: 194, title: 'Amélie', release_date: '2001-04-25', popularity: 40 }]);
+
+    const match = await matchTitle({ type: 'movie', title: 'The Amelie!', year: 2001 });
+
+    assert.equal(match.id, 194);
+    assert.ok(match.match_confidence > 0.9, `confidence ${match.match_confidence}`);
+});
+
+test('matchTitle falls back to any year when the AI is a year off', async t => {
+    const searches = mockTMDBSearch(t, [HEAT]);
+
+    const match = await matchTitle({ type: 'movie', title: 'Heat', year: 1996 });
+
+    assert.equal(match.id, 949);
+    assert.equal(match.low_confidence, false);
+    assert.deepEqual(searches.slice(0, 2), [
+        { type: 'movie', query: 'Heat', year: 1996 },
+        { type: 'movie', query: 'Heat', year: null },
+    ]);
+});
+
+test('matchTitle finds a show the AI called a movie, with a type penalty', async t => {
+    mockTMDBSearch(t, [{ media_type: 'tv', id: 87108, name: 'Chernobyl', first_air_date: '2019-05-06', popularity: 40 }]);
+
+    const match = await matchTitle({ type: 'movie', title: 'Chernobyl', year: 2019 });
+
+    assert.equal(match.id, 87108);
+    assert.equal(match.media_type, 'tv');
+    assert.ok(match.match_confidence < 0.9, `confidence ${match.match_confidence}`);
+});
+
+test('matchTitle searches the original title too', async t => {
+    const spiritedAway = { media_type: 'movie', id: 129, title: 'Spirited Away', original_title: 'Sen to Chihiro no Kamikakushi', release_date: '2001-07-20', popularity: 40 };
+    const searches = mockTMDBSearch(t, [spiritedAway], { matchesQuery: (entry, query) => [entry.title, entry.original_title].includes(query) });
+
+    const match = await matchTitle({ type: 'movie', title: 'Chihiro\'s Journey', originalTitle: 'Sen to Chihiro no Kamikakushi', year: 2001 });
+
+    assert.equal(match.id, 129);
+    assert.ok(searches.some(search => search.query === 'Sen to Chihiro no Kamikakushi'));
+});
+
+test('matchTitle prefers the AI\'s id guess among equally good titles', async t => {
+    const namesake = { media_type: 'movie', id: 4000, title: 'Heat', release_date: '1995-06-01', popularity: 200 };
+    mockTMDBSearch(t, [{ ...HEAT, popularity: 5 }, namesake]);
+
+    assert.equal((await matchTitle({ type: 'movie', title: 'Heat', year: 1995 })).id, 4000);
+    assert.equal((await matchTitle({ type: 'movie', title: 'Heat', year: 1995, tmdbId: 949 })).id, 949);
+});
+
+test('matchTitle returns null when nothing scores high enough', async t => {
+    mockTMDBSearch(t, [{ media_type: 'movie', id: 116149, title: 'Paddington', release_date: '1995-01-01', popularity: 40 }]);
+
+    assert.equal(await matchTitle({ type: 'movie', title: 'Heat', year: 1995 }), null);
+});
@@ -0,0 +1,135 @@
+import './helpers/browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAIRecommendations, streamAIRecommendations, AIResponseFormatError } from '../gemini.js';
+
+/**
+ * Replaces `fetch` with a stub that answers each call with the next text, wrapped like a
+ * Gemini `generateContent` response, and records every request body it was sent.
+ */
+function mockGemini(t, ...texts) {
+    const bodies = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        bodies.push(JSON.parse(options.body));
+        const text = texts[bodies.length - 1];
+        return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    });
+    return bodies;
+}
+
+/**
+ * Replaces `fetch` with a stub Gemini stream: each `send(text)` delivers one Server-Sent Event
+ * carrying that piece of the response text, and `end()` closes the stream. Non-streaming
+ * requests (the repair pass) are answered with `repairText`.
+ */
+function mockGeminiStream(t, repairText) {
+    let stream;
+    const body = new ReadableStream({ start(controller) { stream = controller; } });
+    const encoder = new TextEncoder();
+    const fetch = t.mock.method(globalThis, 'fetch', async url => {
+        if (url.includes('/stream')) return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: repairText }] } }] }), { status: 200 });
+    });
+    return {
+        fetch,
+        send: text => stream.enqueue(encoder.encode(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`)),
+        end: () => stream.close(),
+    };
+}
+
+/** Lets every pending promise callback run. */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(t => {
+    localStorage.clear();
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+test('getAIRecommendations normalizes valid items and drops invalid ones', async t => {
+    mockGemini(t, JSON.stringify([
+        { type: 'Movie', title: ' Alien ', year: '1979', tmdb_id: 348 },
+        { type: 'tv', title: 'The Wire', original_title: 'The Wire', year: 2002, tmdb_id: null },
+        { type: 'book', title: 'Dune', year: 1965 },
+        { type: 'movie', title: '', year: 2000 },
+    ]));
+
+    const recommendations = await getAIRecommendations({ searchQuery: 'slow-burn thrillers', type: 'movie', numResults: 4 });
+
+    assert.deepEqual(recommendations.map(({ type, title, originalTitle, year, tmdbId }) => ({ type, title, originalTitle, year, tmdbId })), [
+        { type: 'movie', title: 'Alien', originalTitle: 'Alien', year: 1979, tmdbId: 348 },
+        { type: 'tv', title: 'The Wire', originalTitle: 'The Wire', year: 2002, tmdbId: null },
+    ]);
+});
+
+test('getAIRecommendations accepts a fenced array or a wrapping object', async t => {
+    mockGemini(t, '```json\n{"recommendations":[{"type":"movie","title":"Heat","year":1995}]}\n```');
+
+    const [heat] = await getAIRecommendations({ searchQuery: 'heist films', type: 'movie', numResults: 1 });
+
+    assert.equal(heat.title, 'Heat');
+});
+
+test('getAIRecommendations shows the model its malformed output once and uses the repair', async t => {
+    const bodies = mockGemini(t, '[{"type":"movie","title":', '[{"type":"movie","title":"Heat","year":1995}]');
+
+    const [heat] = await getAIRecommendations({ searchQuery: 'heist films', type: 'movie', numResults: 1 });
+
+    assert.equal(heat.title, 'Heat');
+    assert.equal(bodies.length, 2);
+    const repairTurns = bodies[1].contents;
+    assert.deepEqual(repairTurns.at(-2), { role: 'model', parts: [{ text: '[{"type":"movie","title":' }] });
+    assert.equal(repairTurns.at(-1).role, 'user');
+});
+
+test('getAIRecommendations gives up after a single failed repair', async t => {
+    const bodies = mockGemini(t, 'not json', '{"title":"Heat"}', '[]');
+
+    await assert.rejects(getAIRecommendations({ searchQuery: 'heist films', type: 'movie', numResults: 1 }), AIResponseFormatError);
+    assert.equal(bodies.length, 2);
+});
+
+test('streamAIRecommendations reports each recommendation as soon as its object is complete', async t => {
+    const gemini = mockGeminiStream(t);
+    const titles = [];
+
+    const done = streamAIRecommendations({ searchQuery: 'space horror', type: 'any', numResults: 2 }, ({ title }) => titles.push(title));
+    gemini.send('[{"type":"movie","title":"Al');
+    gemini.send('ien","year":1979,"reason":"Braces } and \\"quotes\\" in a string"},{"type":"tv",');
+    await settle();
+    assert.deepEqual(titles, ['Alien']);
+
+    gemini.send('"title":"The Expanse","year":2015}]');
+    gemini.end();
+    const recommendations = await done;
+
+    assert.deepEqual(titles, ['Alien', 'The Expanse']);
+    assert.equal(recommendations[0].reason, 'Braces } and "quotes" in a string');
+});
+
+test('streamAIRecommendations reads array elements inside a wrapping object', async t => {
+    const gemini = mockGeminiStream(t);
+
+    const done = streamAIRecommendations({ searchQuery: 'heists', type: 'movie', numResults: 2 }, () => {});
+    gemini.send('{"results":[{"type":"movie","title":"Heat","year":1995,"extra":{"type":"tv"}},');
+    gemini.send('{"type":"movie","title":"Thief","year":1981}]}');
+    gemini.end();
+
+    assert.deepEqual((await done).map(({ title }) => title), ['Heat', 'Thief']);
+});
+
+test('streamAIRecommendations falls back to one repair pass when nothing valid streams', async t => {
+    const gemini = mockGeminiStream(t, '[{"type":"movie","title":"Heat","year":1995}]');
+    const titles = [];
+
+    const done = streamAIRecommendations({ searchQuery: 'heists', type: 'movie', numResults: 1 }, ({ title }) => titles.push(title));
+    gemini.send('Sorry, here are some films: Heat (1995)');
+    gemini.end();
+
+    assert.deepEqual((await done).map(({ title }) => title), ['Heat']);
+    assert.deepEqual(titles, ['Heat']);
+    assert.equal(gemini.fetch.mock.callCount(), 2);
+});
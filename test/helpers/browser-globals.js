@@ -0,0 +1,27 @@
+/*
+================================================================
+BROWSER-GLOBALS.JS - AWWWARDS REBUILD 2025 (TEST ENVIRONMENT)
+- The app's modules read a few browser globals when they load (config.js, i18n.js, trakt.js).
+- Import this first in a test file so those modules can be loaded under `node --test`.
+- localStorage is an in-memory stand-in; call `localStorage.clear()` between tests.
+================================================================
+*/
+
+class MemoryStorage {
+    #items = new Map();
+    get length() { return this.#items.size; }
+    key(index) { return [...this.#items.keys()][index] ?? null; }
+    getItem(key) { return this.#items.has(key) ? this.#items.get(key) : null; }
+    setItem(key, value) { this.#items.set(key, String(value)); }
+    removeItem(key) { this.#items.delete(key); }
+    clear() { this.#items.clear(); }
+}
+
+globalThis.window ??= globalThis;
+globalThis.window.location ??= new URL('http://localhost:8080/');
+globalThis.document ??= { querySelector: () => null, documentElement: { lang: 'en-US' } };
+globalThis.localStorage ??= new MemoryStorage();
+globalThis.sessionStorage ??= new MemoryStorage();
+if (!globalThis.navigator?.language) {
+    Object.defineProperty(globalThis, 'navigator', { value: { language: 'en-US', onLine: true }, configurable: true });
+}
@@ -0,0 +1,220 @@
+import './helpers/browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, ApiError, RateLimitError, AuthError, NotFoundError, NetworkError } from '../http.js';
+
+const URL_UNDER_TEST = 'http://localhost:8787/tmdb/movie/1';
+
+/** Lets every pending promise callback run (setImmediate is left unmocked for this). */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const reply = (status, { body = '{}', headers = {} } = {}) => new Response(body, { status, headers });
+
+/**
+ * Replaces `fetch` with a stub that answers each call with the next of `responses`
+ * (a Response, an Error to throw, or a function of the fetch options).
+ */
+function mockFetch(t, ...responses) {
+    return t.mock.method(globalThis, 'fetch', async (url, options) => {
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return typeof next === 'function' ? next(options) : next;
+    });
+}
+
+beforeEach(t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+});
+
+test('request retries transient failures with exponential backoff and full jitter', async t => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const fetch = mockFetch(t, reply(503), new TypeError('Failed to fetch'), reply(200, { body: '{"id":1}' }));
+
+    const pending = request(URL_UNDER_TEST, { service: 'TMDB' });
+    await settle();
+    assert.equal(fetch.mock.callCount(), 1);
+    t.mock.timers.tick(249); // Half of the 500ms first backoff
+    await settle();
+    assert.equal(fetch.mock.callCount(), 1);
+    t.mock.timers.tick(1);
+    await settle();
+    assert.equal(fetch.mock.callCount(), 2);
+    t.mock.timers.tick(500); // Half of the doubled backoff
+    await settle();
+
+    assert.deepEqual(await (await pending).json(), { id: 1 });
+    assert.equal(fetch.mock.callCount(), 3);
+});
+
+test('request waits as long as Retry-After says, in seconds or as a date, up to 30 seconds', async t => {
+    // The date comes first: the mocked clock starts at 2025-01-01T00:00:00Z and moves with every tick.
+    for (const [retryAfter, delay] of [['Wed, 01 Jan 2025 00:00:05 GMT', 5000], ['2', 2000], ['120', 30000]]) {
+        const fetch = mockFetch(t, reply(429, { headers: { 'Retry-After': retryAfter } }), reply(200));
+
+        const pending = request(URL_UNDER_TEST);
+        await settle();
+        t.mock.timers.tick(delay - 1);
+        await settle();
+        assert.equal(fetch.mock.callCount(), 1, `still waiting for Retry-After: ${retryAfter}`);
+        t.mock.timers.tick(1);
+        await settle();
+
+        assert.equal(await (await pending).text(), '{}');
+        assert.equal(fetch.mock.callCount(), 2);
+        fetch.mock.restore();
+    }
+});
+
+test('request gives up with a RateLimitError once retries run out', async t => {
+    mockFetch(t, reply(429, { headers: { 'Retry-After': '1' } }), reply(429, { body: '{"status_message":"Slow down"}' }));
+
+    const pending = request(URL_UNDER_TEST, { service: 'TMDB', retries: 1 });
+    await settle();
+    t.mock.timers.tick(1000);
+
+    await assert.rejects(pending, error => {
+        assert.ok(error instanceof RateLimitError);
+        assert.equal(error.status, 429);
+        assert.equal(error.message, 'TMDB API error: 429 - Slow down');
+        return true;
+    });
+});
+
+test('request never retries a write after a server error or network failure', async t => {
+    const fetch = mockFetch(t, reply(503), new TypeError('Failed to fetch'));
+
+    await assert.rejects(request(URL_UNDER_TEST, { method: 'POST' }), error => error instanceof ApiError && error.kind === 'server');
+    await assert.rejects(request(URL_UNDER_TEST, { method: 'POST' }), NetworkError);
+    assert.equal(fetch.mock.callCount(), 2);
+});
+
+test('request reports auth and not-found failures as typed errors without retrying', async t => {
+    const fetch = mockFetch(t, reply(401, { body: '{"error":"invalid_token"}' }), reply(404, { body: 'Gone' }));
+
+    await assert.rejects(request(URL_UNDER_TEST, { service: 'Trakt' }), error => {
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.message, 'Trakt API error: 401 - invalid_token');
+        return true;
+    });
+    await assert.rejects(request(URL_UNDER_TEST), NotFoundError);
+    assert.equal(fetch.mock.callCount(), 2);
+});
+
+test('request aborts an attempt that outlives its timeout', async t => {
+    mockFetch(t, options => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const pending = request(URL_UNDER_TEST, { method: 'POST', timeout: 1000 });
+    await settle();
+    t.mock.timers.tick(1000);
+
+    await assert.rejects(pending, error => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /timed out after 1000ms/);
+        return true;
+    });
+});
+
+test('request holds each of the six slots per service until the response body is read', async t => {
+    const answers = [];
+    const fetch = t.mock.method(globalThis, 'fetch', () => new Promise(resolve => answers.push(resolve)));
+
+    const pending = Array.from({ length: 7 }, () => request(URL_UNDER_TEST));
+    await settle();
+    assert.equal(fetch.mock.callCount(), 6);
+
+    answers.shift()(reply(200));
+    const first = await pending[0];
+    await settle();
+    assert.equal(fetch.mock.callCount(), 6);
+
+    await first.text();
+    await settle();
+    assert.equal(fetch.mock.callCount(), 7);
+
+    answers.forEach(answer => answer(reply(200)));
+    await Promise.all(pending.slice(1).map(async response => (await response).text()));
+});
+
+test('request cuts off a response body that stalls for longer than the timeout', async t => {
+    let stream;
+    const body = new ReadableStream({ start(controller) { stream = controller; } });
+    mockFetch(t, options => {
+        options.signal.addEventListener('abort', () => stream.error(new DOMException('Aborted', 'AbortError')));
+        return new Response(body, { status: 200 });
+    });
+
+    const reader = (await request(URL_UNDER_TEST, { service: 'AI', timeout: 1000 })).body.getReader();
+    stream.enqueue(new TextEncoder().encode('[{"title":'));
+    assert.equal(new TextDecoder().decode((await reader.read()).value), '[{"title":');
+    const next = reader.read();
+    await settle();
+    t.mock.timers.tick(1000);
+
+    await assert.rejects(next, error => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /AI response stalled: no data for 1000ms/);
+        return true;
+    });
+});
+
+test('request counts the concurrency limit per service, not per host', async t => {
+    const answers = [];
+    const fetch = t.mock.method(globalThis, 'fetch', () => new Promise(resolve => answers.push(resolve)));
+
+    const streams = Array.from({ length: 6 }, () => request(URL_UNDER_TEST, { service: 'AI' }));
+    const tmdb = request(URL_UNDER_TEST, { service: 'TMDB' });
+    await settle();
+    assert.equal(fetch.mock.callCount(), 7);
+
+    answers.forEach(answer => answer(reply(200)));
+    await Promise.all([...streams, tmdb].map(async response => (await response).text()));
+});
+
+test('request stops at a caller\'s abort instead of retrying it', async t => {
+    const fetch = mockFetch(t, options => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const controller = new AbortController();
+
+    const pending = request(URL_UNDER_TEST, { signal: controller.signal });
+    await settle();
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.equal(fetch.mock.callCount(), 1);
+    await assert.rejects(request(URL_UNDER_TEST, { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('request stops waiting to retry once the caller aborts', async t => {
+    const fetch = mockFetch(t, reply(503), reply(200));
+    const controller = new AbortController();
+
+    const pending = request(URL_UNDER_TEST, { signal: controller.signal });
+    await settle();
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    t.mock.timers.tick(30000);
+    await settle();
+    assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('request passes a caller\'s abort through while the body is read', async t => {
+    let stream;
+    const body = new ReadableStream({ start(controller) { stream = controller; } });
+    mockFetch(t, options => {
+        options.signal.addEventListener('abort', () => stream.error(options.signal.reason));
+        return new Response(body, { status: 200 });
+    });
+    const controller = new AbortController();
+
+    const reader = (await request(URL_UNDER_TEST, { service: 'AI', signal: controller.signal })).body.getReader();
+    const next = reader.read();
+    controller.abort();
+
+    await assert.rejects(next, { name: 'AbortError' });
+});
@@ -0,0 +1,245 @@
+import './helpers/browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getSettings, saveSettings, resetSettings, importLocalData, exportLocalData, DEFAULT_SETTINGS,
+    getTheme, saveTheme, getLocale, getShowWatched, saveShowWatched, getMyServices, saveMyServices, getOnlyMyServices,
+} from '../storage.js';
+
+const SETTINGS_KEY = 'pcinegpt_settings_v3';
+const AI_SETTINGS_KEY = 'pcinegpt_ai_settings_v3';
+const WATCH_REGION_KEY = 'pcinegpt_watch_region_v3';
+const SEARCH_HISTORY_KEY = 'pcinegpt_search_history_v3';
+const WATCHED_HISTORY_KEY = 'pcinegpt_trakt_watched_v3';
+const PREFERENCE_KEYS = {
+    theme: 'pcinegpt_theme_v3',
+    locale: 'pcinegpt_locale_v3',
+    showWatched: 'pcinegpt_show_watched_v3',
+    myServices: 'pcinegpt_my_services_v3',
+    onlyMyServices: 'pcinegpt_only_my_services_v3',
+};
+const legacyPreferences = {
+    [PREFERENCE_KEYS.theme]: 'dark',
+    [PREFERENCE_KEYS.locale]: 'de-DE',
+    [PREFERENCE_KEYS.showWatched]: 'true',
+    [PREFERENCE_KEYS.myServices]: '[8,337]',
+    [PREFERENCE_KEYS.onlyMyServices]: 'true',
+};
+
+const exportOf = data => ({ format: 'pcinegpt-local-data', version: 1, data });
+const savedSettings = () => JSON.parse(localStorage.getItem(SETTINGS_KEY));
+
+beforeEach(() => localStorage.clear());
+
+test('getSettings returns the defaults when nothing is saved', () => {
+    assert.deepEqual(getSettings(), DEFAULT_SETTINGS);
+});
+
+test('the v1 migration folds the legacy AI settings and watch region into the settings', () => {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify({ provider: 'ollama', temperature: 1.2 }));
+    localStorage.setItem(WATCH_REGION_KEY, 'DE');
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ numResults: 5 }));
+
+    const settings = getSettings();
+    assert.equal(settings.version, DEFAULT_SETTINGS.version);
+    assert.equal(settings.numResults, 5);
+    assert.deepEqual(settings.ai, { provider: 'ollama', temperature: 1.2 });
+    assert.equal(settings.watchRegion, 'DE');
+    assert.equal(localStorage.getItem(AI_SETTINGS_KEY), null);
+    assert.equal(localStorage.getItem(WATCH_REGION_KEY), null);
+    assert.equal(savedSettings().version, DEFAULT_SETTINGS.version);
+});
+
+test('the v1 migration keeps values already in the settings', () => {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify({ provider: 'ollama', temperature: 1.2 }));
+    localStorage.setItem(WATCH_REGION_KEY, 'DE');
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ai: { provider: 'openai' }, watchRegion: 'FR' }));
+
+    const settings = getSettings();
+    assert.deepEqual(settings.ai, { provider: 'openai', temperature: 1.2 });
+    assert.equal(settings.watchRegion, 'FR');
+});
+
+test('getSettings parses and migrates the stored settings only when they change', t => {
+    saveSettings({ numResults: 5 });
+    getSettings();
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify({ provider: 'ollama' })); // e.g. written by an old tab
+    const parse = t.mock.method(JSON, 'parse');
+    const setItem = t.mock.method(localStorage, 'setItem');
+
+    for (let i = 0; i < 100; i++) assert.equal(getSettings().numResults, 5);
+    assert.equal(parse.mock.callCount(), 0);
+    assert.equal(setItem.mock.callCount(), 0);
+    assert.deepEqual(getSettings().ai, {});
+    assert.notEqual(localStorage.getItem(AI_SETTINGS_KEY), null);
+
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...savedSettings(), numResults: 3 })); // e.g. another tab
+    assert.equal(getSettings().numResults, 3);
+});
+
+test('getSettings returns a copy that callers may change', () => {
+    const settings = getSettings();
+    settings.numResults = 1;
+    settings.ai.provider = 'ollama';
+    assert.deepEqual(getSettings(), DEFAULT_SETTINGS);
+});
+
+test('the v2 migration folds the theme, locale, watched filter and streaming services into the settings', () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: 1, numResults: 5 }));
+    Object.entries(legacyPreferences).forEach(([key, value]) => localStorage.setItem(key, value));
+
+    assert.equal(getTheme(), 'dark');
+    assert.equal(getLocale(), 'de-DE');
+    assert.equal(getShowWatched(), true);
+    assert.deepEqual(getMyServices(), [8, 337]);
+    assert.equal(getOnlyMyServices(), true);
+    assert.equal(getSettings().numResults, 5);
+    Object.values(PREFERENCE_KEYS).forEach(key => assert.equal(localStorage.getItem(key), null, key));
+    assert.deepEqual(
+        savedSettings(),
+        { version: 2, numResults: 5, theme: 'dark', locale: 'de-DE', showWatched: true, myServices: [8, 337], onlyMyServices: true },
+    );
+});
+
+test('preferences are saved in the settings, not in their own keys', () => {
+    saveTheme('light');
+    saveShowWatched(true);
+    saveMyServices([8]);
+
+    assert.deepEqual(
+        { theme: savedSettings().theme, showWatched: savedSettings().showWatched, myServices: savedSettings().myServices },
+        { theme: 'light', showWatched: true, myServices: [8] },
+    );
+    Object.values(PREFERENCE_KEYS).forEach(key => assert.equal(localStorage.getItem(key), null, key));
+});
+
+test('saveSettings keeps the other settings, and resetSettings restores the defaults', () => {
+    saveSettings({ numResults: 7 });
+    saveSettings({ imageQuality: 'high' });
+    assert.equal(getSettings().numResults, 7);
+    assert.equal(getSettings().imageQuality, 'high');
+
+    resetSettings();
+    assert.deepEqual(getSettings(), DEFAULT_SETTINGS);
+});
+
+test('resetSettings keeps the preferences set outside the settings view', () => {
+    saveSettings({ numResults: 7 });
+    saveTheme('dark');
+    saveMyServices([8]);
+
+    resetSettings();
+    assert.equal(getSettings().numResults, DEFAULT_SETTINGS.numResults);
+    assert.equal(getTheme(), 'dark');
+    assert.deepEqual(getMyServices(), [8]);
+});
+
+test('exports leave out Trakt tokens, derived caches and keys that are not the app\'s', () => {
+    localStorage.setItem('pcinegpt_trakt_tokens_v3', '{"access_token":"secret"}');
+    localStorage.setItem('pcinegpt_trakt_stats_v3', '{}');
+    localStorage.setItem('pcinegpt_stats_titles_v3', '{}');
+    localStorage.setItem('pcinegpt_taste_profile_v3', '{"version":1}');
+    localStorage.setItem(SEARCH_HISTORY_KEY, '[]');
+    localStorage.setItem('unrelated_key', 'x');
+    saveSettings({ numResults: 4 });
+
+    const { format, version, data } = exportLocalData();
+    assert.equal(format, 'pcinegpt-local-data');
+    assert.equal(version, 1);
+    assert.deepEqual(Object.keys(data).sort(), [SEARCH_HISTORY_KEY, SETTINGS_KEY]);
+});
+
+test('importing an export restores its settings on another device', () => {
+    saveSettings({ numResults: 4, ai: { provider: 'ollama' } });
+    const exported = JSON.parse(JSON.stringify(exportLocalData()));
+    localStorage.clear();
+
+    assert.equal(importLocalData(exported), 1);
+    assert.equal(getSettings().numResults, 4);
+    assert.deepEqual(getSettings().ai, { provider: 'ollama' });
+});
+
+test('importing an export made before settings were versioned migrates its legacy keys', () => {
+    saveSettings({ ai: { provider: 'gemini' } });
+    importLocalData(exportOf({
+        [AI_SETTINGS_KEY]: JSON.stringify({ provider: 'openai', temperature: 0.3 }),
+        [WATCH_REGION_KEY]: 'GB',
+        [SEARCH_HISTORY_KEY]: '[]',
+    }));
+
+    assert.deepEqual(getSettings().ai, { provider: 'openai', temperature: 0.3 });
+    assert.equal(getSettings().watchRegion, 'GB');
+    assert.equal(localStorage.getItem(SEARCH_HISTORY_KEY), '[]');
+    assert.equal(localStorage.getItem(AI_SETTINGS_KEY), null);
+    assert.equal(localStorage.getItem(WATCH_REGION_KEY), null);
+});
+
+test('importing an export made before v2 moves its preferences into the settings', () => {
+    importLocalData(exportOf({ [SETTINGS_KEY]: JSON.stringify({ version: 1, numResults: 6 }), ...legacyPreferences }));
+
+    assert.equal(getSettings().numResults, 6);
+    assert.equal(getTheme(), 'dark');
+    assert.deepEqual(getMyServices(), [8, 337]);
+    Object.values(PREFERENCE_KEYS).forEach(key => assert.equal(localStorage.getItem(key), null, key));
+});
+
+test('importing versioned settings drops stale legacy keys', () => {
+    importLocalData(exportOf({
+        [SETTINGS_KEY]: JSON.stringify({ version: 1, ai: { provider: 'ollama' }, watchRegion: 'FR' }),
+        [AI_SETTINGS_KEY]: JSON.stringify({ provider: 'openai' }),
+    }));
+
+    assert.deepEqual(getSettings().ai, { provider: 'ollama' });
+    assert.equal(getSettings().watchRegion, 'FR');
+    assert.equal(localStorage.getItem(AI_SETTINGS_KEY), null);
+});
+
+test('importLocalData rejects files that are not exports and skips tokens', () => {
+    assert.throws(() => importLocalData({ data: {} }));
+    assert.throws(() => importLocalData({ ...exportOf({}), version: 99 }));
+
+    importLocalData(exportOf({ pcinegpt_trakt_tokens_v3: '{"access_token":"stolen"}', unrelated_key: 'x' }));
+    assert.equal(localStorage.getItem('pcinegpt_trakt_tokens_v3'), null);
+    assert.equal(localStorage.getItem('unrelated_key'), null);
+});
+
+test('importLocalData checks every setting before writing anything', () => {
+    localStorage.setItem(SEARCH_HISTORY_KEY, '[]');
+    saveSettings({ numResults: 4 });
+    const settingsBefore = localStorage.getItem(SETTINGS_KEY);
+
+    for (const [key, value] of [
+        [SETTINGS_KEY, 'null'],
+        [SETTINGS_KEY, '[]'],
+        [SETTINGS_KEY, '{"numResults":'],
+        [SETTINGS_KEY, '{"imageQuality":"huge"}'],
+        [SETTINGS_KEY, '{"numResults":-1}'],
+        [SETTINGS_KEY, '{"version":99}'],
+        [SETTINGS_KEY, '{"ai":"gemini"}'],
+        [SETTINGS_KEY, '{"ai":{"temperature":"hot"}}'],
+        [SETTINGS_KEY, '{"theme":"blue"}'],
+        [SETTINGS_KEY, '{"myServices":["8"]}'],
+        [AI_SETTINGS_KEY, 'null'],
+    ]) {
+        assert.throws(() => importLocalData(exportOf({ [SEARCH_HISTORY_KEY]: '[{}]', [key]: value })), Error, `${key}: ${value}`);
+        assert.equal(localStorage.getItem(SEARCH_HISTORY_KEY), '[]');
+        assert.equal(localStorage.getItem(SETTINGS_KEY), settingsBefore);
+    }
+});
+
+test('importLocalData rolls back when a write fails', t => {
+    localStorage.setItem(SEARCH_HISTORY_KEY, '[]');
+    const setItem = localStorage.setItem.bind(localStorage);
+    t.mock.method(localStorage, 'setItem', (key, value) => {
+        if (key === SETTINGS_KEY) throw new Error('QuotaExceededError');
+        setItem(key, value);
+    });
+
+    assert.throws(() => importLocalData(exportOf({
+        [SEARCH_HISTORY_KEY]: '[{}]',
+        [WATCHED_HISTORY_KEY]: '{}',
+        [SETTINGS_KEY]: JSON.stringify({ version: 1, numResults: 4 }),
+    })), /QuotaExceededError/);
+    assert.equal(localStorage.getItem(SEARCH_HISTORY_KEY), '[]');
+    assert.equal(localStorage.getItem(WATCHED_HISTORY_KEY), null);
+});
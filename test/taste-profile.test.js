@@ -0,0 +1,145 @@
+import './helpers/browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTasteProfile, getSavedTasteProfile, rebuildTasteProfileInBackground, rankByPlays } from '../taste-profile.js';
+import { saveStatsHistory, saveStatsTitles, getStatsTitles } from '../storage.js';
+
+const SCIFI = 878;
+const DRAMA = 18;
+const HORROR = 27;
+
+const person = (id, name) => ({ id, name });
+const titles = {
+    'movie:1': { title: 'Alien', genres: [SCIFI, HORROR], year: 1979, cast: [person(10, 'Sigourney Weaver')], directors: [person(20, 'Ridley Scott')] },
+    'movie:2': { title: 'Blade Runner', genres: [SCIFI, DRAMA], year: 1982, cast: [person(11, 'Harrison Ford')], directors: [person(20, 'Ridley Scott')] },
+    'movie:3': { title: 'Bad Horror', genres: [HORROR], year: 2015, cast: [person(12, 'Someone')], directors: [person(21, 'Nobody')] },
+    'tv:4': { title: 'Some Drama', genres: [DRAMA], year: 2019, cast: [], directors: [] },
+};
+const plays = [
+    { hid: 4, at: 4000, type: 'movie', id: 1 },
+    { hid: 3, at: 3000, type: 'movie', id: 1 },
+    { hid: 2, at: 2000, type: 'tv', id: 4 },
+    { hid: 1, at: 1000, type: 'movie', id: 2 },
+];
+const ratings = [
+    { type: 'movie', id: 1, rating: 10, at: 3 },
+    { type: 'movie', id: 2, rating: 9, at: 2 },
+    { type: 'movie', id: 3, rating: 2, at: 1 },
+];
+
+/**
+ * Seeds the cached Trakt history (fresh, so Trakt is not asked) and the cached TMDB title facts,
+ * and fails the test on any network request.
+ */
+function seedHistory(t, { history = {}, facts = titles } = {}) {
+    const seeded = { fetchedAt: Date.now(), plays, ratings, ...history };
+    saveStatsHistory(seeded);
+    saveStatsTitles(facts);
+    t.mock.method(globalThis, 'fetch', async url => assert.fail(`unexpected request to ${url}`));
+    return seeded;
+}
+
+beforeEach(() => localStorage.clear());
+
+test('rankByPlays orders titles by play count', () => {
+    assert.deepEqual(rankByPlays(plays), ['movie:1', 'tv:4', 'movie:2']);
+});
+
+test('getTasteProfile counts rated and watched titles', async t => {
+    const history = seedHistory(t);
+
+    const profile = await getTasteProfile();
+    assert.equal(profile.ratedCount, 3);
+    assert.equal(profile.watchedCount, 3);
+    assert.equal(profile.historyFetchedAt, history.fetchedAt);
+});
+
+test('getTasteProfile scores genres by rating and watching', async t => {
+    seedHistory(t);
+
+    const profile = await getTasteProfile();
+    // Sci-fi: +4.5 (Alien) +3.5 (Blade Runner); drama: +3.5 +1 (unrated watch); horror: +4.5 -3.5.
+    assert.deepEqual(profile.genres.liked, [SCIFI, DRAMA, HORROR]);
+    assert.deepEqual(profile.genres.disliked, []);
+});
+
+test('getTasteProfile lists genres that are mostly rated poorly as disliked', async t => {
+    // Alien at 1/10: horror -4.5 -3.5, sci-fi -4.5 +3.5.
+    seedHistory(t, { history: { ratings: [...ratings.slice(1), { type: 'movie', id: 1, rating: 1, at: 3 }] } });
+
+    const profile = await getTasteProfile();
+    assert.deepEqual(profile.genres.disliked, [HORROR, SCIFI]);
+    assert.deepEqual(profile.genres.liked, [DRAMA]);
+});
+
+test('getTasteProfile ranks eras, people and loved/disliked titles', async t => {
+    seedHistory(t);
+
+    const profile = await getTasteProfile();
+    // The 2010s only hold a title rated 2/10, so they are not a favourite era.
+    assert.deepEqual(profile.eras, [1970, 1980]);
+    assert.deepEqual(profile.directors[0], person(20, 'Ridley Scott'));
+    assert.deepEqual(profile.actors.map(actor => actor.name), ['Sigourney Weaver', 'Harrison Ford']);
+    assert.deepEqual(profile.loved.map(item => item.title), ['Alien', 'Blade Runner']);
+    assert.deepEqual(profile.disliked, [{ type: 'movie', id: 3, title: 'Bad Horror', year: 2015, rating: 2 }]);
+});
+
+test('getTasteProfile reuses the saved profile until the history is refreshed', async t => {
+    const history = seedHistory(t);
+    const first = await getTasteProfile();
+
+    saveStatsTitles({ ...titles, 'movie:1': { ...titles['movie:1'], genres: [DRAMA] } });
+    assert.deepEqual(await getTasteProfile(), first);
+
+    saveStatsHistory({ ...history, fetchedAt: history.fetchedAt + 1 });
+    assert.deepEqual((await getTasteProfile()).genres.liked, [DRAMA, SCIFI]);
+});
+
+test('getTasteProfile looks up only the titles missing from the cache on TMDB', async t => {
+    const { 'movie:3': badHorror, ...cached } = titles;
+    seedHistory(t, { facts: cached });
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({
+        id: 3,
+        title: 'Bad Horror',
+        genres: [{ id: HORROR, name: 'Horror' }],
+        release_date: '2015-10-30',
+        credits: { cast: [{ id: 12, name: 'Someone', character: 'Victim' }], crew: [{ id: 21, name: 'Nobody', job: 'Director' }] },
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } }));
+
+    const profile = await getTasteProfile();
+
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.match(fetch.mock.calls[0].arguments[0], /\/tmdb\/movie\/3\?/);
+    assert.deepEqual(profile.disliked, [{ type: 'movie', id: 3, title: 'Bad Horror', year: 2015, rating: 2 }]);
+    assert.deepEqual(getStatsTitles()['movie:3'], badHorror);
+});
+
+test('rebuildTasteProfileInBackground saves the profile once for concurrent callers', async t => {
+    seedHistory(t);
+    assert.equal(getSavedTasteProfile(), null);
+
+    const first = rebuildTasteProfileInBackground();
+    assert.equal(rebuildTasteProfileInBackground(), first);
+
+    const profile = await first;
+    assert.equal(profile.ratedCount, 3);
+    assert.deepEqual(getSavedTasteProfile(), profile);
+});
+
+test('rebuildTasteProfileInBackground logs a failed build instead of throwing', async t => {
+    seedHistory(t, { history: { fetchedAt: 0 } });
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(await rebuildTasteProfileInBackground(), null);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(getSavedTasteProfile(), null);
+});
+
+test('getTasteProfile handles an empty history', async t => {
+    seedHistory(t, { history: { plays: [], ratings: [] }, facts: {} });
+
+    const profile = await getTasteProfile();
+    assert.equal(profile.ratedCount, 0);
+    assert.deepEqual(profile.genres, { liked: [], disliked: [] });
+    assert.deepEqual(profile.loved, []);
+});
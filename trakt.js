@@ -3,16 +3,26 @@
 TRAKT.JS - AWWWARDS REBUILD 2025 (ENHANCED & ROBUST)
 - Manages the secure OAuth 2.0 PKCE authentication flow for Trakt.tv.
 - Handles all authenticated API requests with improved error handling.
-- Implements token management and automatic logout on authorization failure.
+- Implements token management with single-flight access token refresh; logs out only if refresh fails.
 ================================================================
 */
 
-import { saveTraktTokens, getTraktTokens, clearTraktTokens } from './storage.js';
+import { saveTraktTokens, getTraktTokens, clearTraktTokens, saveWatchedHistory, getWatchedHistory as getCachedWatchedHistory, clearWatchedHistory, saveStatsHistory, getStatsHistory as getCachedStatsHistory, clearStatsHistory, clearStatsTitles, clearTasteProfile } from './storage.js';
+import { PROXY_BASE_URL } from './config.js';
+import { request, AuthError, NotFoundError } from './http.js';
 
 // --- Configuration ---
-const CLIENT_ID = '4817758e941a6135b5efc85f8ec52d5ebd72b677fab299fb94f2bb5d1bcb8843';
+// The proxy adds the client ID (and secret) to OAuth and API requests server-side.
 const REDIRECT_URI = window.location.origin + window.location.pathname;
-const TRAKT_API_URL = 'https://api.trakt.tv';
+const TRAKT_API_URL = `${PROXY_BASE_URL}/trakt`;
+const WATCHED_HISTORY_TTL = 6 * 60 * 60 * 1000; // Re-pull watched history at most every 6 hours
+const STATS_HISTORY_TTL = 6 * 60 * 60 * 1000; // Check for new plays and ratings at most every 6 hours
+const HISTORY_PAGE_SIZE = 100;
+const MAX_HISTORY_PAGES = 100; // Caps the stats history at the latest 10,000 plays
+const TOKEN_REFRESH_MARGIN = 60 * 60; // Refresh proactively when the access token has under an hour left (seconds)
+
+// The in-progress token refresh, shared by every request that needs it (single-flight).
+let refreshPromise = null;
 
 // --- PKCE & AUTHENTICATION FLOW ---
 
@@ -53,7 +63,6 @@ export async function redirectToTraktAuth() {
 
     const authUrl = new URL(`${TRAKT_API_URL}/oauth/authorize`);
     authUrl.searchParams.append('response_type', 'code');
-    authUrl.searchParams.append('client_id', CLIENT_ID);
     authUrl.searchParams.append('redirect_uri', REDIRECT_URI);
     authUrl.searchParams.append('code_challenge', challenge);
     authUrl.searchParams.append('code_challenge_method', 'S256');
@@ -73,26 +82,21 @@ export async function handleTraktCallback(authCode) {
 
     const body = JSON.stringify({
         code: authCode,
-        client_id: CLIENT_ID,
         redirect_uri: REDIRECT_URI,
         grant_type: 'authorization_code',
         code_verifier: verifier
     });
 
     try {
-        const response = await fetch(`${TRAKT_API_URL}/oauth/token`, {
+        const response = await request(`${TRAKT_API_URL}/oauth/token`, {
+            service: 'Trakt',
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body
         });
 
-        if (!response.ok) {
-            const errorDetails = await response.json().catch(() => ({ error_description: 'Unknown error during token exchange.' }));
-            throw new Error(`Failed to fetch token: ${errorDetails.error_description}`);
-        }
-
         const tokens = await response.json();
-        saveTraktTokens(tokens);
+        saveTraktTokens(stampTokens(tokens));
     } catch (error) {
         console.error('Error during Trakt token exchange:', error);
         clearTraktTokens(); // Ensure partial/failed auth state is cleared
@@ -108,52 +112,135 @@ export async function handleTraktCallback(authCode) {
  */
 export function logoutTrakt() {
     clearTraktTokens();
+    clearWatchedHistory();
+    clearStatsHistory();
+    clearStatsTitles();
+    clearTasteProfile();
     location.reload();
 }
 
 
+// --- TOKEN REFRESH ---
+
+/**
+ * Ensures a token object records when it was issued, so its expiry can be computed.
+ * Trakt includes `created_at` (seconds since epoch), but older stored tokens may not.
+ * @param {object} tokens The token object from the Trakt API.
+ * @returns {object} The tokens with a `created_at` timestamp.
+ */
+function stampTokens(tokens) {
+    return { ...tokens, created_at: tokens.created_at || Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Checks whether the access token expires within `TOKEN_REFRESH_MARGIN`.
+ * @param {object} tokens The stored token object.
+ * @returns {boolean} True if the token should be refreshed before use.
+ */
+function isTokenExpiring(tokens) {
+    if (!tokens.created_at || !tokens.expires_in) return false;
+    const expiresAt = tokens.created_at + tokens.expires_in;
+    return Date.now() / 1000 >= expiresAt - TOKEN_REFRESH_MARGIN;
+}
+
+/**
+ * Exchanges the stored refresh token for a new access token. Concurrent callers share a
+ * single in-flight refresh. If Trakt rejects the refresh token the user is logged out;
+ * network failures are re-thrown without logging out.
+ * @returns {Promise<object>} The new token object.
+ */
+function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+
+    refreshPromise = (async () => {
+        const tokens = getTraktTokens();
+        if (!tokens?.refresh_token) {
+            console.warn('No Trakt refresh token available. Logging out.');
+            logoutTrakt();
+            throw new AuthError('User is not authenticated with Trakt.', { service: 'Trakt' });
+        }
+
+        let response;
+        try {
+            response = await request(`${TRAKT_API_URL}/oauth/token`, {
+                service: 'Trakt',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    refresh_token: tokens.refresh_token,
+                    redirect_uri: REDIRECT_URI,
+                    grant_type: 'refresh_token'
+                })
+            });
+        } catch (error) {
+            // 400/401 mean the refresh token itself is invalid or revoked; there is nothing left to retry.
+            if (error.status === 400 || error.status === 401) {
+                console.warn('Trakt token refresh was rejected. Logging out.');
+                logoutTrakt();
+            }
+            throw error;
+        }
+
+        const newTokens = stampTokens(await response.json());
+        saveTraktTokens(newTokens);
+        return newTokens;
+    })();
+
+    refreshPromise.finally(() => { refreshPromise = null; }).catch(() => {});
+    return refreshPromise;
+}
+
+
 // --- CORE API FETCHER ---
 
 /**
  * A robust, centralized function for making authenticated requests to the Trakt.tv API.
+ * Refreshes the access token proactively before it expires, and on a 401 refreshes once
+ * (sharing the refresh with any concurrent requests) and retries the request.
  * @param {string} endpoint The API endpoint to request (e.g., '/users/me/stats').
  * @param {object} [options={}] Optional fetch options (method, body, etc.).
+ * @param {boolean} [isRetry=false] Internal: set when retrying after a token refresh.
  * @returns {Promise<any>} The JSON response from the API.
- * @throws {Error} If the user is not authenticated or if the API returns an error.
+ * @throws {ApiError} If the user is not authenticated or if the API returns an error (see http.js).
  */
-async function fetchFromTrakt(endpoint, options = {}) {
-    const tokens = getTraktTokens();
+async function fetchFromTrakt(endpoint, options = {}, isRetry = false) {
+    let tokens = getTraktTokens();
     if (!tokens) {
-        throw new Error('User is not authenticated with Trakt.');
+        throw new AuthError('User is not authenticated with Trakt.', { service: 'Trakt' });
+    }
+    if (isTokenExpiring(tokens)) {
+        tokens = await refreshAccessToken();
     }
 
     const url = `${TRAKT_API_URL}${endpoint}`;
     const headers = {
         'Content-Type': 'application/json',
-        'trakt-api-version': '2',
-        'trakt-api-key': CLIENT_ID,
         'Authorization': `Bearer ${tokens.access_token}`
     };
 
-    const config = { headers, ...options };
+    const config = { service: 'Trakt', headers, ...options };
 
-    const response = await fetch(url, config);
+    let response;
+    try {
+        response = await request(url, config);
+    } catch (error) {
+        // If unauthorized, the token is likely expired. Refresh it once and retry.
+        if (error instanceof AuthError && error.status === 401 && !isRetry) {
+            // Another request may already have refreshed the token while this one was in flight.
+            if (getTraktTokens()?.access_token === tokens.access_token) {
+                console.warn('Trakt authentication failed (401). Refreshing access token.');
+                await refreshAccessToken();
+            }
+            return fetchFromTrakt(endpoint, options, true);
+        }
+        throw error;
+    }
 
     // Handle successful but empty responses (e.g., from POST/DELETE actions)
     if (response.status === 204) {
         return { success: true };
     }
 
-    if (!response.ok) {
-        // If unauthorized, the token is likely expired/revoked. Log out automatically.
-        if (response.status === 401) {
-            console.warn('Trakt authentication failed (401). Logging out.');
-            logoutTrakt();
-        }
-        const errorText = await response.text();
-        throw new Error(`Trakt API error! Status: ${response.status}. Response: ${errorText}`);
-    }
-
     return response.json();
 }
 
@@ -168,21 +255,6 @@ export function getUserStats() {
     return fetchFromTrakt('/users/me/stats');
 }
 
-/**
- * Fetches the user's highly-rated (9 and 10) movies and shows.
- * @returns {Promise<Array<object>>} A combined array of highly-rated items.
- */
-export async function getTraktRatings() {
-    const requests = [
-        fetchFromTrakt('/users/me/ratings/movies/10?limit=10'),
-        fetchFromTrakt('/users/me/ratings/shows/10?limit=10'),
-        fetchFromTrakt('/users/me/ratings/movies/9?limit=10'),
-        fetchFromTrakt('/users/me/ratings/shows/9?limit=10')
-    ];
-    const results = await Promise.all(requests);
-    return results.flat(); // Combine all results into a single array
-}
-
 /**
  * Fetches the user's complete movie and show watchlist.
  * @returns {Promise<Array<object>>} A combined array of watchlist items.
@@ -195,6 +267,117 @@ export async function getWatchlist() {
     return [...movies, ...shows];
 }
 
+/**
+ * Fetches every movie and show the user has watched, with play counts, cached locally.
+ * @param {object} [options={}]
+ * @param {boolean} [options.forceRefresh=false] - Bypass the local cache.
+ * @returns {Promise<{fetchedAt: number, movies: Object<string, number>, shows: Object<string, number>}>}
+ *   Play counts keyed by TMDB id, per type.
+ */
+export async function getWatchedHistory({ forceRefresh = false } = {}) {
+    const cached = getCachedWatchedHistory();
+    // Caches written before play counts were tracked stored plain id arrays; treat those as stale.
+    if (!forceRefresh && cached && !Array.isArray(cached.movies) && Date.now() - cached.fetchedAt < WATCHED_HISTORY_TTL) {
+        return cached;
+    }
+
+    const [movies, shows] = await Promise.all([
+        fetchFromTrakt('/sync/watched/movies'),
+        fetchFromTrakt('/sync/watched/shows?extended=noseasons') // Season/episode detail isn't needed here
+    ]);
+    const toPlayCounts = (items, key) => Object.fromEntries(
+        items.filter(item => item[key]?.ids?.tmdb).map(item => [item[key].ids.tmdb, item.plays || 1])
+    );
+    const history = {
+        fetchedAt: Date.now(),
+        movies: toPlayCounts(movies, 'movie'),
+        shows: toPlayCounts(shows, 'show'),
+    };
+    saveWatchedHistory(history);
+    return history;
+}
+
+/**
+ * Fetches every page of a paginated Trakt endpoint, up to `MAX_HISTORY_PAGES`.
+ * @param {string} endpoint - The endpoint, with or without a query string.
+ * @returns {Promise<Array<object>>} The items of all pages, in order.
+ */
+async function fetchAllPages(endpoint) {
+    const items = [];
+    const separator = endpoint.includes('?') ? '&' : '?';
+    for (let page = 1; page <= MAX_HISTORY_PAGES; page++) {
+        const batch = await fetchFromTrakt(`${endpoint}${separator}page=${page}&limit=${HISTORY_PAGE_SIZE}`);
+        items.push(...batch);
+        if (batch.length < HISTORY_PAGE_SIZE) break;
+    }
+    return items;
+}
+
+/**
+ * Fetches the user's play history and ratings for the stats dashboard, cached locally.
+ * Once the cache expires, only plays newer than the cached ones are pulled.
+ * @param {object} [options={}]
+ * @param {boolean} [options.forceRefresh=false] - Discard the cache and pull everything again.
+ * @returns {Promise<{fetchedAt: number, plays: Array<{hid: number, at: number, type: string, id: number}>, ratings: Array<{at: number, type: string, id: number, rating: number}>}>}
+ *   Plays (newest first; an episode counts as a play of its show) and ratings, keyed by TMDB id.
+ */
+export async function getStatsHistory({ forceRefresh = false } = {}) {
+    const cached = forceRefresh ? null : getCachedStatsHistory();
+    if (cached && Date.now() - cached.fetchedAt < STATS_HISTORY_TTL) return cached;
+
+    const latest = cached?.plays[0]?.at;
+    const since = latest ? `?start_at=${encodeURIComponent(new Date(latest + 1000).toISOString())}` : '';
+    const [entries, movieRatings, showRatings] = await Promise.all([
+        fetchAllPages(`/sync/history${since}`),
+        fetchFromTrakt('/sync/ratings/movies'),
+        fetchFromTrakt('/sync/ratings/shows'),
+    ]);
+
+    const known = new Set(cached?.plays.map(play => play.hid));
+    const plays = entries
+        .map(entry => {
+            const media = entry.type === 'movie' ? entry.movie : entry.show;
+            return { hid: entry.id, at: Date.parse(entry.watched_at), type: entry.type === 'movie' ? 'movie' : 'tv', id: media?.ids?.tmdb };
+        })
+        .filter(play => play.id && !known.has(play.hid));
+    const toRatings = (items, type) => items
+        .filter(item => (item.movie || item.show)?.ids?.tmdb)
+        .map(item => ({ at: Date.parse(item.rated_at), type, id: (item.movie || item.show).ids.tmdb, rating: item.rating }));
+
+    const history = {
+        fetchedAt: Date.now(),
+        plays: [...plays, ...(cached?.plays || [])].sort((a, b) => b.at - a.at),
+        ratings: [...toRatings(movieRatings, 'movie'), ...toRatings(showRatings, 'tv')],
+    };
+    saveStatsHistory(history);
+    return history;
+}
+
+/**
+ * Marks the cached stats history as due for a refresh after a new play or rating, so the next
+ * `getStatsHistory` call pulls the new plays (and all ratings) instead of waiting for the TTL.
+ */
+function expireStatsHistory() {
+    const cached = getCachedStatsHistory();
+    if (cached) saveStatsHistory({ ...cached, fetchedAt: 0 });
+}
+
+/**
+ * Adjusts the cached play count for an item after a local change, so the cache stays
+ * in step with Trakt without re-pulling the whole history.
+ * @param {number} id - The TMDB ID.
+ * @param {string} type - The media type ('movie' or 'tv').
+ * @param {number} delta - The change in plays (e.g. 1 or -1).
+ */
+function adjustCachedPlays(id, type, delta) {
+    const cached = getCachedWatchedHistory();
+    if (!cached || Array.isArray(cached.movies)) return;
+    const bucket = cached[type === 'tv' ? 'shows' : 'movies'];
+    const plays = Math.max(0, (bucket[id] || 0) + delta);
+    if (plays > 0) bucket[id] = plays; else delete bucket[id];
+    saveWatchedHistory(cached);
+}
+
 /**
  * Adds a media item to the user's Trakt.tv watchlist.
  * @param {object} item - The media item to add.
@@ -232,3 +415,224 @@ export function removeFromWatchlist({ id, title, year, type }) {
         body: JSON.stringify(payload)
     });
 }
+
+
+/**
+ * Removes several media items from the user's Trakt.tv watchlist in a single request.
+ * @param {Array<{id: number, type: string}>} items - The items to remove (TMDB id and 'movie'/'tv').
+ * @returns {Promise<object>} API response.
+ */
+export function removeManyFromWatchlist(items) {
+    return fetchFromTrakt('/sync/watchlist/remove', {
+        method: 'POST',
+        body: JSON.stringify(buildBulkPayload(items))
+    });
+}
+
+/**
+ * Builds a `/sync/*` or list payload for several media items, split into movies and shows.
+ * @param {Array<{id: number, type: string}>} items - The items (TMDB id and 'movie'/'tv').
+ * @returns {{movies: Array<object>, shows: Array<object>}} The payload.
+ */
+function buildBulkPayload(items) {
+    const toEntry = ({ id }) => ({ ids: { tmdb: id } });
+    return {
+        movies: items.filter(item => item.type !== 'tv').map(toEntry),
+        shows: items.filter(item => item.type === 'tv').map(toEntry)
+    };
+}
+
+
+// --- CUSTOM LISTS ---
+
+/**
+ * Fetches the user's personal Trakt lists.
+ * @returns {Promise<Array<object>>} The lists (name, description, item_count, ids).
+ */
+export function getUserLists() {
+    return fetchFromTrakt('/users/me/lists');
+}
+
+/**
+ * Fetches the items on one of the user's lists.
+ * @param {number|string} listId - The Trakt list id or slug.
+ * @returns {Promise<Array<object>>} The list items (movies, shows and other entry types).
+ */
+export function getListItems(listId) {
+    return fetchFromTrakt(`/users/me/lists/${listId}/items`);
+}
+
+/**
+ * Creates a new personal list.
+ * @param {object} list
+ * @param {string} list.name - The list name.
+ * @param {string} [list.description=''] - An optional description.
+ * @param {string} [list.privacy='private'] - 'private', 'friends' or 'public'.
+ * @returns {Promise<object>} The created list, including its `ids`.
+ */
+export function createList({ name, description = '', privacy = 'private' }) {
+    return fetchFromTrakt('/users/me/lists', {
+        method: 'POST',
+        body: JSON.stringify({ name, description, privacy, display_numbers: false, allow_comments: false })
+    });
+}
+
+/**
+ * Adds movies and shows to one of the user's lists.
+ * @param {number|string} listId - The Trakt list id or slug.
+ * @param {Array<{id: number, type: string}>} items - The items to add (TMDB id and 'movie'/'tv').
+ * @returns {Promise<object>} API response with added/existing/not_found counts.
+ */
+export function addToList(listId, items) {
+    return fetchFromTrakt(`/users/me/lists/${listId}/items`, {
+        method: 'POST',
+        body: JSON.stringify(buildBulkPayload(items))
+    });
+}
+
+
+// --- HISTORY & RATINGS ---
+
+// All of the user's ratings per type, fetched once per session and kept in step with local changes.
+const ratingsCache = { movie: null, tv: null };
+
+/**
+ * Builds the `/sync/*` payload for a single media item.
+ * @param {object} item - The media item ({ id, title, year, type }).
+ * @param {object} [extra={}] - Extra fields for the item (e.g. `watched_at`, `rating`).
+ * @returns {object} The payload.
+ */
+function buildSyncPayload({ id, title, year, type }, extra = {}) {
+    return { [type === 'tv' ? 'shows' : 'movies']: [{ title, year, ids: { tmdb: id }, ...extra }] };
+}
+
+/**
+ * Marks a media item as watched (a show is marked fully watched).
+ * @param {object} item - The media item ({ id, title, year, type }).
+ * @returns {Promise<string>} The `watched_at` timestamp recorded, needed to undo this play.
+ */
+export async function addToHistory(item) {
+    // Trakt stores plays to the second, so send a whole-second time that `removeHistoryPlay` can find again.
+    const watchedAt = new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
+    await fetchFromTrakt('/sync/history', {
+        method: 'POST',
+        body: JSON.stringify(buildSyncPayload(item, { watched_at: watchedAt }))
+    });
+    adjustCachedPlays(item.id, item.type, 1);
+    expireStatsHistory();
+    return watchedAt;
+}
+
+/**
+ * Undoes a play recorded by `addToHistory`, removing only the history entries
+ * logged at that exact second (leaving earlier plays intact).
+ * @param {object} item - The media item ({ id, title, year, type }).
+ * @param {string} watchedAt - The timestamp returned by `addToHistory`.
+ * @returns {Promise<object>} API response.
+ * @throws {NotFoundError} If Trakt has no play of the item at that time, so nothing was removed.
+ */
+export async function removeHistoryPlay(item, watchedAt) {
+    const key = item.type === 'tv' ? 'show' : 'movie';
+    const time = Date.parse(watchedAt);
+    // Ask for a few seconds either side, then match the exact second (Trakt may format it differently).
+    const range = `start_at=${encodeURIComponent(new Date(time - 5000).toISOString())}&end_at=${encodeURIComponent(new Date(time + 5000).toISOString())}`;
+    const entries = await fetchFromTrakt(`/sync/history?${range}&limit=1000`);
+    const ids = entries
+        .filter(entry => entry[key]?.ids?.tmdb === item.id && Math.floor(Date.parse(entry.watched_at) / 1000) === Math.floor(time / 1000))
+        .map(entry => entry.id);
+    if (ids.length === 0) {
+        throw new NotFoundError(`No Trakt play of ${key} ${item.id} was found at ${watchedAt}.`, { service: 'Trakt' });
+    }
+
+    const response = await fetchFromTrakt('/sync/history/remove', {
+        method: 'POST',
+        body: JSON.stringify({ ids })
+    });
+    adjustCachedPlays(item.id, item.type, -1);
+    clearStatsHistory(); // Incremental refreshes only add plays, so pull the stats history again
+    return response;
+}
+
+/**
+ * Fetches the user's rating for a single movie or show.
+ * @param {string} type - The media type ('movie' or 'tv').
+ * @param {number} id - The TMDB ID.
+ * @returns {Promise<number|null>} The 1-10 rating, or null if unrated.
+ */
+export async function getUserRating(type, id) {
+    if (!ratingsCache[type]) {
+        ratingsCache[type] = fetchFromTrakt(`/sync/ratings/${type === 'tv' ? 'shows' : 'movies'}`)
+            .then(items => new Map(items.map(item => [(item.movie || item.show)?.ids?.tmdb, item.rating])))
+            .catch(error => { ratingsCache[type] = null; throw error; });
+    }
+    const ratings = await ratingsCache[type];
+    return ratings.get(id) ?? null;
+}
+
+/**
+ * Rates a media item on Trakt.
+ * @param {object} item - The media item ({ id, title, year, type }).
+ * @param {number} rating - An integer from 1 to 10.
+ * @returns {Promise<object>} API response.
+ */
+export async function addRating(item, rating) {
+    const response = await fetchFromTrakt('/sync/ratings', {
+        method: 'POST',
+        body: JSON.stringify(buildSyncPayload(item, { rating, rated_at: new Date().toISOString() }))
+    });
+    if (ratingsCache[item.type]) (await ratingsCache[item.type]).set(item.id, rating);
+    expireStatsHistory();
+    return response;
+}
+
+/**
+ * Removes the user's rating for a media item.
+ * @param {object} item - The media item ({ id, title, year, type }).
+ * @returns {Promise<object>} API response.
+ */
+export async function removeRating(item) {
+    const response = await fetchFromTrakt('/sync/ratings/remove', {
+        method: 'POST',
+        body: JSON.stringify(buildSyncPayload(item))
+    });
+    if (ratingsCache[item.type]) (await ratingsCache[item.type]).delete(item.id);
+    expireStatsHistory();
+    return response;
+}
+
+
+// --- CHECK-INS ---
+
+/**
+ * Fetches what the user is currently checked in to (or scrobbling).
+ * @returns {Promise<object|null>} The watching entry (`type`, `movie`/`episode`, `expires_at`), or null if nothing.
+ */
+export async function getWatching() {
+    const watching = await fetchFromTrakt('/users/me/watching');
+    return watching?.type ? watching : null;
+}
+
+/**
+ * Checks the user in to a movie: Trakt shows it as "watching now" and adds the play
+ * to their history once the runtime has passed.
+ * Only movies can be checked in from here; shows need a specific episode.
+ * @param {object} item - The movie ({ id, title, year }).
+ * @returns {Promise<object>} API response with `watched_at` and the movie.
+ * @throws {ApiError} With status 409 if the user is already checked in to something.
+ */
+export async function checkIn({ id, title, year }) {
+    const response = await fetchFromTrakt('/checkin', {
+        method: 'POST',
+        body: JSON.stringify({ movie: { title, year, ids: { tmdb: id } } })
+    });
+    expireStatsHistory();
+    return response;
+}
+
+/**
+ * Cancels the user's active check-in, whatever it is for.
+ * @returns {Promise<object>} API response.
+ */
+export function cancelCheckIn() {
+    return fetchFromTrakt('/checkin', { method: 'DELETE' });
+}